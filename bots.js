@@ -0,0 +1,114 @@
+// Computer players. A bot is an object with a `name` and chooseAngle(state),
+// where `state` is a snapshot of a run waiting for its next shot, as returned
+// by Simulation#serialize(); it returns the launch angle to fire. The page
+// uses bots for autoplay and tools/tournament.js pits them against each other.
+const BOT_ANGLE_SAMPLES = 24;
+// A volley still running after this many ticks is recalled, so a ball caught
+// bouncing between obstacles can't stall a search.
+const BOT_MAX_VOLLEY_TICKS = 60 / FIXED_STEP;
+// Greedy scoring: points gained, plus each extra ball, minus the strength left
+// on the board weighted by how far down each block has come.
+const GREEDY_WEIGHTS = { ball: 60, pressure: 2 };
+
+function botAngleRange(state) {
+  const { aimLimit } = normalizeRules(state.rules);
+  return { min: -Math.PI + aimLimit, max: -aimLimit };
+}
+
+// Fires a volley and runs it until the turn has ended.
+function playVolley(sim, angle) {
+  const start = sim.tickCount;
+  sim.launch(angle);
+  while (sim.isLaunching && sim.tickCount - start < BOT_MAX_VOLLEY_TICKS) {
+    sim.tick();
+  }
+  if (sim.isLaunching) {
+    sim.recall();
+  }
+  return sim;
+}
+
+// Plays a volley on a copy of the run, leaving the original untouched.
+function simulateVolley(state, angle) {
+  const sim = Simulation.deserialize(state);
+  sim.muted = true;
+  return playVolley(sim, angle);
+}
+
+class RandomBot {
+  constructor({ seed = randomSeed() } = {}) {
+    this.name = "random";
+    this.rng = new RNG(seed);
+  }
+
+  chooseAngle(state) {
+    const { min, max } = botAngleRange(state);
+    return min + this.rng.next() * (max - min);
+  }
+}
+
+// Tries evenly spaced angles across the aim range, plays each volley out on a
+// copy of the run and keeps the one that leaves the best position. Shots that
+// end the run are only taken when every shot does.
+class GreedyBot {
+  constructor({ samples = BOT_ANGLE_SAMPLES } = {}) {
+    this.name = "greedy";
+    this.samples = samples;
+  }
+
+  chooseAngle(state) {
+    const { min, max } = botAngleRange(state);
+    let best = { angle: -Math.PI / 2, value: -Infinity };
+    for (let i = 0; i < this.samples; i++) {
+      const angle = min + ((i + 0.5) * (max - min)) / this.samples;
+      const value = this.evaluate(state, simulateVolley(state, angle));
+      if (value > best.value) {
+        best = { angle, value };
+      }
+    }
+    return best.angle;
+  }
+
+  evaluate(state, sim) {
+    if (sim.isGameOver) return -Infinity;
+    const pressure = sim.blocks
+      .filter((block) => block.solid && !block.destroyed)
+      .reduce((sum, block) => sum + block.strength * (block.row + 1), 0);
+    return (
+      sim.score -
+      state.score +
+      GREEDY_WEIGHTS.ball * (sim.ballChain - state.ballChain) -
+      GREEDY_WEIGHTS.pressure * pressure
+    );
+  }
+}
+
+const BOTS = {
+  greedy: GreedyBot,
+  random: RandomBot,
+};
+
+// Plays a whole run with a bot, headless. Runs are capped at `maxTurns` since
+// barriers runs never end on their own.
+function playBotGame(bot, { seed, mode, rules, maxTurns = 200 } = {}) {
+  const sim = new Simulation({ seed, mode, rules });
+  sim.muted = true;
+  while (!sim.isGameOver && sim.turn <= maxTurns) {
+    playVolley(sim, bot.chooseAngle(sim.serialize()));
+  }
+  // Completed turns; sim.turn is the one about to be played.
+  return { score: sim.score, turns: sim.turn - 1, balls: sim.ballChain, finished: sim.isGameOver };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    BOT_ANGLE_SAMPLES,
+    BOT_MAX_VOLLEY_TICKS,
+    BOTS,
+    RandomBot,
+    GreedyBot,
+    playVolley,
+    simulateVolley,
+    playBotGame,
+  };
+}
@@ -0,0 +1,114 @@
+// Campaign level packs and the best stars earned on each level, persisted to
+// localStorage. Level data itself is validated by parseLevel() in core.js.
+const CAMPAIGN_KEY = "ballz.campaign";
+const CAMPAIGN_VERSION = 1;
+const CAMPAIGN_PACK_URL = "levels/campaign.json";
+const MAX_STARS = 3;
+
+// A pack is { name, levels: [level, ...] }. Campaign levels need unique ids,
+// since progress is stored against them.
+function parseLevelPack(data) {
+  if (!data || typeof data !== "object" || !Array.isArray(data.levels) || !data.levels.length) {
+    throw new Error("Invalid level pack");
+  }
+  const ids = new Set();
+  const levels = data.levels.map((entry, index) => {
+    let level;
+    try {
+      level = parseLevel(entry);
+    } catch (e) {
+      throw new Error(`Level ${index + 1}: ${e.message}`);
+    }
+    if (!level.id || ids.has(level.id)) {
+      throw new Error(`Level ${index + 1}: missing or duplicate id`);
+    }
+    ids.add(level.id);
+    return level;
+  });
+  return { name: typeof data.name === "string" ? data.name : "Levels", levels };
+}
+
+function loadLevelPack(url = CAMPAIGN_PACK_URL) {
+  return fetch(url)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`Could not load ${url} (${response.status})`);
+      }
+      return response.json();
+    })
+    .then(parseLevelPack);
+}
+
+function createEmptyProgress() {
+  return { version: CAMPAIGN_VERSION, stars: {} };
+}
+
+class CampaignProgress {
+  constructor(storage) {
+    this.storage = storage;
+    this.data = this.load();
+  }
+
+  load() {
+    if (!this.storage) return createEmptyProgress();
+    try {
+      const data = JSON.parse(this.storage.getItem(CAMPAIGN_KEY));
+      if (!data || data.version !== CAMPAIGN_VERSION || !data.stars || typeof data.stars !== "object") {
+        return createEmptyProgress();
+      }
+      const progress = createEmptyProgress();
+      for (const [id, stars] of Object.entries(data.stars)) {
+        if (Number.isInteger(stars) && stars >= 1 && stars <= MAX_STARS) {
+          progress.stars[id] = stars;
+        }
+      }
+      return progress;
+    } catch (e) {
+      console.warn("Could not read campaign progress");
+      return createEmptyProgress();
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(CAMPAIGN_KEY, JSON.stringify(this.data));
+    } catch (e) {
+      console.warn("Could not save campaign progress");
+    }
+  }
+
+  starsFor(id) {
+    return this.data.stars[id] ?? 0;
+  }
+
+  totalStars(pack) {
+    return pack.levels.reduce((sum, level) => sum + this.starsFor(level.id), 0);
+  }
+
+  // The first level is always open; each later one opens once the level
+  // before it has been beaten.
+  isUnlocked(pack, index) {
+    return index === 0 || this.starsFor(pack.levels[index - 1].id) > 0;
+  }
+
+  // Keeps the best result per level. Returns true if this one improved it.
+  recordStars(id, stars) {
+    if (stars <= this.starsFor(id)) return false;
+    this.data.stars[id] = stars;
+    this.save();
+    return true;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CAMPAIGN_KEY,
+    CAMPAIGN_VERSION,
+    CAMPAIGN_PACK_URL,
+    MAX_STARS,
+    parseLevelPack,
+    loadLevelPack,
+    CampaignProgress,
+  };
+}
@@ -0,0 +1,1712 @@
+const GAME_WIDTH = 480;
+const GAME_HEIGHT = 720;
+const GRID_COLUMNS = 7;
+const GRID_SIZE = GAME_WIDTH / GRID_COLUMNS;
+const BALL_RADIUS = 7;
+const BALL_SPEED = 620;
+const MAX_FLOATING_BLOCKS = 24;
+const GAME_MODES = ["classic", "barriers"];
+const LAUNCH_INTERVAL = 0.1;
+const AIM_LIMIT = 0.35;
+const HIT_SCORE = 8;
+// Scoring: every hit in a volley builds the combo, and each `step` hits raise
+// the multiplier on hit points by `bonus`, up to `maxMultiplier`. Destroying
+// several obstacles in one tick and clearing the board pay flat bonuses.
+const COMBO = { step: 8, bonus: 0.25, maxMultiplier: 3 };
+const MULTI_KILL_SCORE = 25;
+const BOARD_CLEAR_SCORE = 200;
+const SEED_CODE_LENGTH = 7;
+const FIXED_STEP = 1 / 120;
+const ANGLE_PRECISION = 1e5;
+const REPLAY_VERSION = 3;
+// An hour of play. Longer replays are refused rather than re-simulated.
+const MAX_REPLAY_TICKS = 60 * 60 / FIXED_STEP;
+const SAVE_VERSION = 3;
+const LEVEL_VERSION = 1;
+const LEVEL_ROWS = 9;
+const LEVEL_GOALS = ["clear", "score"];
+const LEVEL_BARRIER_SIZE = { min: 20, max: GRID_SIZE * 2 };
+const MAX_COLLISIONS_PER_STEP = 8;
+const CONTACT_EPSILON = 1e-4;
+// Smallest share of a ball's speed that stays vertical after a bounce.
+const MIN_VERTICAL_SPEED = 0.1;
+const BLOCK_CORNER_RADIUS = 10;
+const BARRIER_CORNER_RADIUS = 14;
+const TRACE_LENGTH = 2000;
+
+// Special grid cells beyond the "+1" pickup. All of them are pass-through
+// triggers. Persistent ones fire for every ball that enters them and are
+// cleared at the end of a turn in which they fired; the rest are collected.
+// Spawn weight grows by `growth` per turn once `minTurn` is reached.
+const POWER_UPS = {
+  laserH: { minTurn: 5, weight: 1, growth: 0.05, persistent: true },
+  laserV: { minTurn: 5, weight: 1, growth: 0.05, persistent: true },
+  bomb: { minTurn: 8, weight: 0.6, growth: 0.04, persistent: false },
+  splitter: { minTurn: 3, weight: 1.2, growth: 0.02, persistent: true },
+  shield: { minTurn: 12, weight: 0.25, growth: 0.01, persistent: false },
+  coin: { minTurn: 1, weight: 2, growth: 0, persistent: false },
+};
+const POWER_UP_CHANCE = { base: 0.15, perTurn: 0.01, max: 0.45 };
+const SPLITTER_SPREAD = 0.7;
+const BLOCK_TYPES = ["block", "pickup", ...Object.keys(POWER_UPS)];
+
+// Obstacle shapes. Triangles are named after their right-angle corner.
+const BLOCK_SHAPES = ["square", "circle", "triangleTL", "triangleTR", "triangleBR", "triangleBL"];
+const TRIANGLE_SHAPES = BLOCK_SHAPES.slice(2);
+const SHAPE_CHANCE = { minTurn: 3, triangle: 0.15, circle: 0.1 };
+
+// Versus garbage: each row a volley empties of blocks and each barrier it
+// destroys sends one garbage block to the opponent.
+const GARBAGE_STRENGTH = 0.75;
+// Randomness that depends on how a run is played (garbage, splitter bounces,
+// barriers spawned mid-volley) draws from streams of its own, so the rows a
+// seed spawns are the same however the shots go.
+const GARBAGE_SEED_SALT = 0x27d4eb2f;
+const VOLLEY_SEED_SALT = 0x165667b1;
+
+// Balance knobs for a run. Strengths scale the turn-based formulas, pickup
+// chance is per row, and the aim limit keeps shots that far above horizontal.
+// Custom rulesets are clamped and rounded to these limits so they always
+// encode exactly; saves, replays and high scores all carry the ruleset.
+const RULE_LIMITS = {
+  ballSpeed: { min: 400, max: 900, step: 10 },
+  maxFloatingBlocks: { min: 8, max: 40, step: 1 },
+  blockStrength: { min: 0.5, max: 2, step: 0.05 },
+  barrierStrength: { min: 0.5, max: 2, step: 0.05 },
+  pickupChance: { min: 0, max: 1, step: 0.05 },
+  aimLimit: { min: 0.1, max: 0.6, step: 0.01 },
+};
+const RULE_FIELDS = Object.keys(RULE_LIMITS);
+const DEFAULT_RULESET = "normal";
+const RULESETS = {
+  easy: {
+    ballSpeed: 580,
+    maxFloatingBlocks: 18,
+    blockStrength: 0.75,
+    barrierStrength: 0.75,
+    pickupChance: 0.5,
+    aimLimit: 0.2,
+  },
+  normal: {
+    ballSpeed: BALL_SPEED,
+    maxFloatingBlocks: MAX_FLOATING_BLOCKS,
+    blockStrength: 1,
+    barrierStrength: 1,
+    pickupChance: 0.35,
+    aimLimit: AIM_LIMIT,
+  },
+  hard: {
+    ballSpeed: 700,
+    maxFloatingBlocks: 30,
+    blockStrength: 1.3,
+    barrierStrength: 1.3,
+    pickupChance: 0.2,
+    aimLimit: 0.45,
+  },
+};
+
+class RNG {
+  constructor(seed = Date.now() & 0xffffffff) {
+    // xorshift32 never leaves a zero state, so remap it to a fixed odd constant.
+    this.state = seed >>> 0 || 0x9e3779b9;
+  }
+
+  next() {
+    // xorshift32
+    let x = this.state;
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    this.state = x >>> 0;
+    return this.state / 0xffffffff;
+  }
+}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+function randomChoice(arr, rng) {
+  return arr[Math.floor(rng.next() * arr.length)];
+}
+
+function weightedChoice(items, weights, rng) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let roll = rng.next() * total;
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+// FNV-1a, used to turn free-form seed text and dates into 32-bit seeds.
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function randomSeed() {
+  return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+}
+
+// Seeds are shared as short base36 codes, e.g. "0K3Z9QA".
+function formatSeed(seed) {
+  return (seed >>> 0).toString(36).toUpperCase().padStart(SEED_CODE_LENGTH, "0");
+}
+
+// Accepts a seed code, or any other text which is hashed into a seed.
+function parseSeed(input) {
+  const text = String(input ?? "").trim();
+  if (!text) return null;
+  if (/^[0-9a-z]+$/i.test(text) && text.length <= SEED_CODE_LENGTH) {
+    const value = parseInt(text, 36);
+    if (value <= 0xffffffff) return value >>> 0;
+  }
+  return hashString(text);
+}
+
+function dailyKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function dailySeed(date = new Date()) {
+  return hashString(`daily:${dailyKey(date)}`);
+}
+
+function isWholeNumber(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+function requireSave(condition, field) {
+  if (!condition) {
+    throw new Error(`Invalid save: ${field}`);
+  }
+}
+
+function requireLevel(condition, field) {
+  if (!condition) {
+    throw new Error(`Invalid level: ${field}`);
+  }
+}
+
+// Any missing or non-numeric field falls back to the normal preset.
+function normalizeRules(rules = {}) {
+  const normalized = {};
+  for (const field of RULE_FIELDS) {
+    const { min, max, step } = RULE_LIMITS[field];
+    const value = Number.isFinite(rules[field]) ? rules[field] : RULESETS[DEFAULT_RULESET][field];
+    normalized[field] = Number((Math.round(clamp(value, min, max) / step) * step).toFixed(2));
+  }
+  return normalized;
+}
+
+// A preset's name, or "c" plus each field in steps (base36, "-" separated) for
+// custom rules. Used as the leaderboard key and inside replay codes.
+function rulesetKey(rules) {
+  const normalized = normalizeRules(rules);
+  const preset = Object.keys(RULESETS).find((name) => RULE_FIELDS.every((field) => RULESETS[name][field] === normalized[field]));
+  if (preset) return preset;
+  return `c${RULE_FIELDS.map((field) => Math.round(normalized[field] / RULE_LIMITS[field].step).toString(36)).join("-")}`;
+}
+
+function parseRuleset(key) {
+  if (Object.hasOwn(RULESETS, key)) return { ...RULESETS[key] };
+  const match = /^c([0-9a-z-]+)$/.exec(String(key ?? ""));
+  if (!match) return null;
+  const steps = match[1].split("-");
+  if (steps.length !== RULE_FIELDS.length || steps.some((part) => !part)) return null;
+  const rules = {};
+  RULE_FIELDS.forEach((field, i) => {
+    rules[field] = parseInt(steps[i], 36) * RULE_LIMITS[field].step;
+  });
+  return normalizeRules(rules);
+}
+
+function clampAimAngle(angle, limit = AIM_LIMIT) {
+  return clamp(angle, -Math.PI + limit, -limit);
+}
+
+// Launch angles are stored at a fixed precision so a recorded angle replays bit-for-bit.
+function quantizeAngle(angle) {
+  return Math.round(angle * ANGLE_PRECISION) / ANGLE_PRECISION;
+}
+
+// Colliders are convex polygons (clockwise on screen) inflated by `radius`;
+// a rounded rect is its inner rect inflated by the corner radius.
+function roundedRectCollider({ x, y, w, h }, cornerRadius) {
+  const r = Math.min(cornerRadius, w / 2, h / 2);
+  return {
+    points: [
+      { x: x + r, y: y + r },
+      { x: x + w - r, y: y + r },
+      { x: x + w - r, y: y + h - r },
+      { x: x + r, y: y + h - r },
+    ],
+    radius: r,
+  };
+}
+
+// Corners of a triangle shape inside its rect, clockwise on screen.
+function triangleVertices(shape, { x, y, w, h }) {
+  const tl = { x, y };
+  const tr = { x: x + w, y };
+  const br = { x: x + w, y: y + h };
+  const bl = { x, y: y + h };
+  switch (shape) {
+    case "triangleTL":
+      return [tl, tr, bl];
+    case "triangleTR":
+      return [tl, tr, br];
+    case "triangleBR":
+      return [tr, br, bl];
+    case "triangleBL":
+      return [tl, br, bl];
+    default:
+      throw new Error(`Not a triangle shape: ${shape}`);
+  }
+}
+
+// A triangle with rounded corners is its inset triangle inflated by the corner
+// radius; the inset triangle is the original scaled about its incenter.
+function triangleCollider(vertices, cornerRadius) {
+  const [a, b, c] = vertices;
+  const la = Math.hypot(b.x - c.x, b.y - c.y);
+  const lb = Math.hypot(a.x - c.x, a.y - c.y);
+  const lc = Math.hypot(a.x - b.x, a.y - b.y);
+  const perimeter = la + lb + lc;
+  const incenter = {
+    x: (la * a.x + lb * b.x + lc * c.x) / perimeter,
+    y: (la * a.y + lb * b.y + lc * c.y) / perimeter,
+  };
+  const area = Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+  const inradius = (2 * area) / perimeter;
+  const r = Math.min(cornerRadius, inradius * 0.9);
+  const scale = (inradius - r) / inradius;
+  return {
+    points: vertices.map((v) => ({
+      x: incenter.x + (v.x - incenter.x) * scale,
+      y: incenter.y + (v.y - incenter.y) * scale,
+    })),
+    radius: r,
+  };
+}
+
+function shapeCollider(shape, rect, cornerRadius) {
+  if (shape === "circle") {
+    return { points: [{ x: rect.x + rect.w / 2, y: rect.y + rect.h / 2 }], radius: Math.min(rect.w, rect.h) / 2 };
+  }
+  if (TRIANGLE_SHAPES.includes(shape)) {
+    return triangleCollider(triangleVertices(shape, rect), cornerRadius);
+  }
+  return roundedRectCollider(rect, cornerRadius);
+}
+
+// Closest point of a collider's core polygon to (x, y), plus the outward normal
+// there. Points inside the polygon report distance 0 and the nearest edge normal.
+function closestOnCollider(x, y, points) {
+  if (points.length === 1) {
+    const dx = x - points[0].x;
+    const dy = y - points[0].y;
+    const distance = Math.hypot(dx, dy);
+    return distance > 0 ? { distance, nx: dx / distance, ny: dy / distance } : { distance, nx: 0, ny: -1 };
+  }
+
+  let inside = true;
+  let nearestEdge = null;
+  let outside = null;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const length = Math.hypot(ex, ey);
+    const nx = ey / length;
+    const ny = -ex / length;
+    const signed = (x - a.x) * nx + (y - a.y) * ny;
+    if (signed > 0) inside = false;
+    if (!nearestEdge || signed > nearestEdge.signed) {
+      nearestEdge = { signed, nx, ny };
+    }
+
+    const u = clamp(((x - a.x) * ex + (y - a.y) * ey) / (length * length), 0, 1);
+    const px = x - (a.x + ex * u);
+    const py = y - (a.y + ey * u);
+    const distance = Math.hypot(px, py);
+    if (!outside || distance < outside.distance) {
+      outside = distance > 0 ? { distance, nx: px / distance, ny: py / distance } : { distance, nx, ny };
+    }
+  }
+
+  return inside ? { distance: 0, nx: nearestEdge.nx, ny: nearestEdge.ny } : outside;
+}
+
+// Earliest fraction t in [0, 1] of the move (dx, dy) at which a circle at
+// (x, y) touches the collider, with the contact normal. A circle that already
+// overlaps and is moving inwards is reported as an immediate hit; one that is
+// moving out is ignored so it can escape.
+function sweepCircle(x, y, dx, dy, radius, collider) {
+  const { points } = collider;
+  const reach = collider.radius + radius;
+
+  const start = closestOnCollider(x, y, points);
+  if (start.distance < reach) {
+    return dx * start.nx + dy * start.ny < 0 ? { t: 0, nx: start.nx, ny: start.ny } : null;
+  }
+
+  let best = null;
+  if (points.length > 1) {
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const ex = b.x - a.x;
+      const ey = b.y - a.y;
+      const length = Math.hypot(ex, ey);
+      const nx = ey / length;
+      const ny = -ex / length;
+      const approach = dx * nx + dy * ny;
+      if (approach >= 0) continue;
+
+      const t = (reach - ((x - a.x) * nx + (y - a.y) * ny)) / approach;
+      if (t < 0 || t > 1 || (best && t >= best.t)) continue;
+      const u = ((x + dx * t - a.x) * ex + (y + dy * t - a.y) * ey) / (length * length);
+      if (u >= 0 && u <= 1) {
+        best = { t, nx, ny };
+      }
+    }
+  }
+
+  const a = dx * dx + dy * dy;
+  if (a === 0) return best;
+  for (const point of points) {
+    const fx = x - point.x;
+    const fy = y - point.y;
+    const b = 2 * (fx * dx + fy * dy);
+    const c = fx * fx + fy * fy - reach * reach;
+    const discriminant = b * b - 4 * a * c;
+    if (b >= 0 || discriminant < 0) continue;
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    if (t < 0 || t > 1 || (best && t >= best.t)) continue;
+    best = { t, nx: (fx + dx * t) / reach, ny: (fy + dy * t) / reach };
+  }
+  return best;
+}
+
+// Fraction t in [0, 1] of the move at which a circle at (x, y) enters the
+// circle (cx, cy, reach). Circles that start inside never "enter", so a ball
+// only fires a trigger once per pass through it.
+function enterCircle(x, y, dx, dy, cx, cy, reach) {
+  const fx = x - cx;
+  const fy = y - cy;
+  const a = dx * dx + dy * dy;
+  const b = 2 * (fx * dx + fy * dy);
+  const c = fx * fx + fy * fy - reach * reach;
+  if (a === 0 || b >= 0 || c <= CONTACT_EPSILON) return null;
+
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return null;
+  const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+  return t <= 1 ? t : null;
+}
+
+function colliderBounds({ points, radius }) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const point of points) {
+    minX = Math.min(minX, point.x);
+    minY = Math.min(minY, point.y);
+    maxX = Math.max(maxX, point.x);
+    maxY = Math.max(maxY, point.y);
+  }
+  return { minX: minX - radius, minY: minY - radius, maxX: maxX + radius, maxY: maxY + radius };
+}
+
+// Uniform grid over the playfield with GRID_SIZE cells. Obstacles are bucketed
+// by their collider bounds so a moving ball only sweeps the few it can reach.
+class SpatialGrid {
+  constructor(cellSize = GRID_SIZE, width = GAME_WIDTH, height = GAME_HEIGHT) {
+    this.cellSize = cellSize;
+    this.columns = Math.ceil(width / cellSize);
+    this.rows = Math.ceil(height / cellSize);
+    this.cells = Array.from({ length: this.columns * this.rows }, () => []);
+    this.stamp = 0;
+    this.results = [];
+  }
+
+  clear() {
+    for (const cell of this.cells) {
+      cell.length = 0;
+    }
+  }
+
+  forEachCell(minX, minY, maxX, maxY, visit) {
+    const col0 = clamp(Math.floor(minX / this.cellSize), 0, this.columns - 1);
+    const col1 = clamp(Math.floor(maxX / this.cellSize), 0, this.columns - 1);
+    const row0 = clamp(Math.floor(minY / this.cellSize), 0, this.rows - 1);
+    const row1 = clamp(Math.floor(maxY / this.cellSize), 0, this.rows - 1);
+    for (let row = row0; row <= row1; row++) {
+      for (let col = col0; col <= col1; col++) {
+        visit(this.cells[row * this.columns + col]);
+      }
+    }
+  }
+
+  insert(entry) {
+    const { minX, minY, maxX, maxY } = entry.bounds;
+    this.forEachCell(minX, minY, maxX, maxY, (cell) => cell.push(entry));
+  }
+
+  // Entries overlapping the box, each listed once. The returned array is
+  // reused by the next query, so consume it before querying again.
+  query(minX, minY, maxX, maxY) {
+    const stamp = ++this.stamp;
+    const results = this.results;
+    results.length = 0;
+    this.forEachCell(minX, minY, maxX, maxY, (cell) => {
+      for (const entry of cell) {
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+        results.push(entry);
+      }
+    });
+    return results;
+  }
+}
+
+class Block {
+  constructor(col, row, strength, type = "block", shape = "square") {
+    this.col = col;
+    this.row = row;
+    this.strength = strength;
+    this.type = type;
+    this.shape = shape;
+    this.destroyed = false;
+    this.triggered = false;
+    this.garbage = false;
+  }
+
+  get solid() {
+    return this.type === "block";
+  }
+
+  get x() {
+    return this.col * GRID_SIZE + 6;
+  }
+
+  get y() {
+    return this.row * GRID_SIZE + 6;
+  }
+
+  get size() {
+    return GRID_SIZE - 12;
+  }
+
+  get rect() {
+    return { x: this.x, y: this.y, w: this.size, h: this.size };
+  }
+
+  get center() {
+    return { x: this.x + this.size / 2, y: this.y + this.size / 2 };
+  }
+
+  get collider() {
+    return shapeCollider(this.shape, this.rect, BLOCK_CORNER_RADIUS);
+  }
+
+  get triggerRadius() {
+    return this.type === "pickup" ? this.size / 2 : this.size * 0.35;
+  }
+
+  updateRow(newRow) {
+    this.row = newRow;
+  }
+}
+
+// Mirrors a velocity about a surface normal. A glancing bounce off a slanted
+// face can leave a ball crossing the board almost flat, never landing, so the
+// vertical part is kept to at least MIN_VERTICAL_SPEED of the speed, pointing
+// away from the surface. Speed is unchanged.
+function reflectVelocity(body, nx, ny) {
+  const dot = body.vx * nx + body.vy * ny;
+  body.vx -= 2 * dot * nx;
+  body.vy -= 2 * dot * ny;
+
+  const speed = Math.hypot(body.vx, body.vy);
+  const minVy = speed * MIN_VERTICAL_SPEED;
+  if (Math.abs(body.vy) < minVy) {
+    const direction = ny !== 0 ? Math.sign(ny) : Math.sign(body.vy) || 1;
+    body.vy = direction * minVy;
+    body.vx = (Math.sign(body.vx) || 1) * Math.sqrt(speed * speed - minVy * minVy);
+  }
+}
+
+class Ball {
+  constructor(x, y, angle, speed = BALL_SPEED) {
+    this.x = x;
+    this.y = y;
+    this.vx = Math.cos(angle) * speed;
+    this.vy = Math.sin(angle) * speed;
+    this.resting = false;
+    this.prevX = x;
+    this.prevY = y;
+  }
+
+  reflect(nx, ny) {
+    reflectVelocity(this, nx, ny);
+  }
+
+  setResting(baseY) {
+    this.y = baseY - BALL_RADIUS;
+    this.vx = 0;
+    this.vy = 0;
+    this.resting = true;
+  }
+}
+
+class BarrierBlock {
+  constructor(x, y, size, strength, shape = "square") {
+    this.x = x;
+    this.y = y;
+    this.size = size;
+    this.strength = strength;
+    this.shape = shape;
+    this.destroyed = false;
+  }
+
+  get solid() {
+    return true;
+  }
+
+  get rect() {
+    return {
+      x: this.x - this.size / 2,
+      y: this.y - this.size / 2,
+      w: this.size,
+      h: this.size,
+    };
+  }
+
+  get collider() {
+    return shapeCollider(this.shape, this.rect, BARRIER_CORNER_RADIUS);
+  }
+}
+
+// Points earned by the current volley, broken down for the end-of-turn summary.
+function createVolleyScore() {
+  return {
+    hits: 0,
+    destroyed: 0,
+    bestCombo: 0,
+    hitPoints: 0,
+    comboPoints: 0,
+    multiKills: 0,
+    multiKillPoints: 0,
+    clearPoints: 0,
+    garbage: 0,
+  };
+}
+
+// Hand-built level, stored as JSON:
+//   { version, id?, name, balls, turnLimit,
+//     goal: { type: "clear" } or { type: "score", target },
+//     stars: [most turns for three stars, most turns for two stars],
+//     blocks: [{ col, row, strength, type, shape }],
+//     barriers: [{ x, y, size, strength, shape }] }
+// Rows count down from 0 at the top to LEVEL_ROWS - 1. Nothing spawns or moves
+// in a level; it is won on the turn its goal is met and lost when the turn
+// limit runs out. Returns a clean copy with defaults filled in, or throws.
+function parseLevel(data) {
+  requireLevel(data && typeof data === "object", "data");
+  requireLevel(data.version === LEVEL_VERSION, "version");
+  requireLevel(data.id === undefined || (typeof data.id === "string" && data.id.length > 0), "id");
+  requireLevel(typeof data.name === "string" && data.name.trim().length > 0, "name");
+  requireLevel(isWholeNumber(data.balls) && data.balls >= 1, "balls");
+  requireLevel(isWholeNumber(data.turnLimit) && data.turnLimit >= 1, "turnLimit");
+
+  const goal = data.goal ?? {};
+  requireLevel(LEVEL_GOALS.includes(goal.type), "goal");
+  requireLevel(goal.type !== "score" || (isWholeNumber(goal.target) && goal.target >= 1), "goal");
+
+  const stars = data.stars ?? [data.turnLimit, data.turnLimit];
+  requireLevel(Array.isArray(stars) && stars.length === 2 && stars.every(isWholeNumber), "stars");
+  requireLevel(stars[0] >= 1 && stars[0] <= stars[1] && stars[1] <= data.turnLimit, "stars");
+
+  requireLevel(Array.isArray(data.blocks), "blocks");
+  const cells = new Set();
+  const blocks = data.blocks.map(({ col, row, strength = 1, type = "block", shape = "square" } = {}) => {
+    requireLevel(isWholeNumber(col) && col < GRID_COLUMNS && isWholeNumber(row) && row < LEVEL_ROWS, "blocks");
+    requireLevel(!cells.has(`${col},${row}`), "blocks");
+    requireLevel(isWholeNumber(strength) && strength >= 1, "blocks");
+    requireLevel(BLOCK_TYPES.includes(type) && BLOCK_SHAPES.includes(shape), "blocks");
+    cells.add(`${col},${row}`);
+    return { col, row, strength, type, shape };
+  });
+
+  const barriers = (data.barriers ?? []).map(({ x, y, size = GRID_SIZE * 0.9, strength, shape = "square" } = {}) => {
+    requireLevel([x, y, size].every(Number.isFinite), "barriers");
+    requireLevel(size >= LEVEL_BARRIER_SIZE.min && size <= LEVEL_BARRIER_SIZE.max, "barriers");
+    requireLevel(x - size / 2 >= 0 && x + size / 2 <= GAME_WIDTH, "barriers");
+    requireLevel(y - size / 2 >= 0 && y + size / 2 <= LEVEL_ROWS * GRID_SIZE, "barriers");
+    requireLevel(isWholeNumber(strength) && strength >= 1 && BLOCK_SHAPES.includes(shape), "barriers");
+    return { x, y, size, strength, shape };
+  });
+
+  const solids = blocks.filter((block) => block.type === "block").length + barriers.length;
+  requireLevel(goal.type !== "clear" || solids > 0, "goal");
+
+  return {
+    version: LEVEL_VERSION,
+    ...(data.id === undefined ? {} : { id: data.id }),
+    name: data.name.trim(),
+    balls: data.balls,
+    turnLimit: data.turnLimit,
+    goal: goal.type === "score" ? { type: "score", target: goal.target } : { type: "clear" },
+    stars: [stars[0], stars[1]],
+    blocks,
+    barriers,
+  };
+}
+
+// Listeners by event type. on() returns a function that removes the listener.
+class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type).delete(listener);
+  }
+
+  emit(type, payload = {}) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+    for (const listener of listeners) {
+      listener(payload);
+    }
+  }
+}
+
+// DOM-free game simulation. Renderers and headless harnesses drive it through
+// launch(angle) and step(dt), read it through getState(), and subscribe to
+// gameplay events (hits, pickups, turn end, game over) with on(type, listener).
+// Physics always advances in FIXED_STEP ticks; step(dt) just feeds real time in.
+class Simulation extends Emitter {
+  constructor({ seed = randomSeed(), mode = GAME_MODES[0], rules = RULESETS[DEFAULT_RULESET], level = null } = {}) {
+    super();
+    this.seed = seed >>> 0;
+    this.mode = GAME_MODES.includes(mode) ? mode : GAME_MODES[0];
+    this.rules = normalizeRules(rules);
+    this.level = level ? parseLevel(level) : null;
+    this.muted = false;
+    this.broadphase = new SpatialGrid();
+    this.reset();
+  }
+
+  emit(type, payload) {
+    if (this.muted) return;
+    super.emit(type, payload);
+  }
+
+  reset() {
+    this.rng = new RNG(this.seed);
+    this.garbageRng = new RNG(this.seed ^ GARBAGE_SEED_SALT);
+    this.volleyRng = new RNG(this.seed ^ VOLLEY_SEED_SALT);
+    this.incomingGarbage = 0;
+    this.blocks = [];
+    this.balls = [];
+    this.barrierBlocks = [];
+    this.hasDestroyed = false;
+    this.invalidateBroadphase();
+    this.pendingBalls = 0;
+    this.ballChain = 1;
+    this.baseBallPosition = GAME_WIDTH / 2;
+    this.baseY = GAME_HEIGHT - 24;
+    this.launchAngle = null;
+    this.launchTimer = 0;
+    this.activeBallChainLanding = null;
+    this.isLaunching = false;
+    this.turn = 1;
+    this.score = 0;
+    this.volley = createVolleyScore();
+    this.tickKills = [];
+    this.coins = 0;
+    this.shields = 0;
+    this.ballsFired = 0;
+    this.blocksDestroyed = 0;
+    this.isGameOver = false;
+    this.levelResult = null;
+    this.tickCount = 0;
+    this.timeAccumulator = 0;
+    this.inputs = [];
+    if (this.level) {
+      this.loadLevel();
+    } else if (this.mode === "classic") {
+      this.spawnRow();
+      this.stepRowsDown();
+    } else {
+      this.seedFloatingBlocks();
+    }
+  }
+
+  canLaunch() {
+    return !this.isLaunching && !this.isGameOver;
+  }
+
+  launch(angle) {
+    if (!this.canLaunch() || !Number.isFinite(angle)) return false;
+    this.isLaunching = true;
+    this.launchAngle = quantizeAngle(clampAimAngle(angle, this.rules.aimLimit));
+    this.inputs.push({ tick: this.tickCount, angle: this.launchAngle });
+    this.pendingBalls = this.ballChain;
+    this.launchTimer = 0;
+    this.activeBallChainLanding = null;
+    this.volley = createVolleyScore();
+    this.emit("launch", { angle: this.launchAngle, balls: this.ballChain });
+    return true;
+  }
+
+  // Ends the volley early: balls in flight and any not yet fired return to the
+  // landing point and the turn finishes exactly as if they had all landed.
+  recall() {
+    if (!this.isLaunching || this.isGameOver) return false;
+    this.inputs.push({ tick: this.tickCount, recall: true });
+    const returned = this.pendingBalls + this.balls.filter((ball) => !ball.resting).length;
+    this.pendingBalls = 0;
+    this.emit("recall", { balls: returned, x: this.activeBallChainLanding ?? this.baseBallPosition });
+    this.finishTurn();
+    return true;
+  }
+
+  step(delta) {
+    if (this.isGameOver) {
+      return;
+    }
+
+    this.timeAccumulator += delta;
+    while (this.timeAccumulator >= FIXED_STEP && !this.isGameOver) {
+      this.timeAccumulator -= FIXED_STEP;
+      this.tick();
+    }
+  }
+
+  tick() {
+    if (this.isGameOver) {
+      return;
+    }
+
+    this.tickCount++;
+    this.tickKills.length = 0;
+    const delta = FIXED_STEP;
+
+    if (this.isLaunching) {
+      this.launchTimer -= delta;
+      if (this.pendingBalls > 0 && this.launchTimer <= 0) {
+        this.launchTimer = LAUNCH_INTERVAL;
+        this.pendingBalls--;
+        this.ballsFired++;
+        const spawnPointX = this.activeBallChainLanding ?? this.baseBallPosition;
+        const ball = new Ball(spawnPointX, this.baseY - BALL_RADIUS, this.launchAngle, this.rules.ballSpeed);
+        this.balls.push(ball);
+        if (this.mode === "barriers" && !this.level) {
+          this.spawnFloatingBlock({ rng: this.volleyRng });
+        }
+      }
+    }
+
+    for (const ball of this.balls) {
+      if (ball.resting) continue;
+      this.moveBall(ball, delta);
+    }
+
+    if (this.tickKills.length > 1) {
+      this.awardMultiKill();
+    }
+
+    if (this.hasDestroyed) {
+      this.removeDestroyed();
+    }
+
+    if (this.isLaunching && this.pendingBalls === 0 && this.balls.every((b) => b.resting)) {
+      this.finishTurn();
+    }
+  }
+
+  finishTurn() {
+    this.isLaunching = false;
+    this.launchAngle = null;
+    this.turn++;
+    this.balls = [];
+    this.baseBallPosition = this.activeBallChainLanding ?? this.baseBallPosition;
+    this.blocks = this.blocks.filter((block) => !block.triggered);
+    this.invalidateBroadphase();
+    this.awardBoardClear();
+    if (this.volley.garbage > 0) {
+      this.emit("garbage", { blocks: this.volley.garbage });
+    }
+
+    if (this.level) {
+      this.checkLevelEnd();
+    } else if (this.mode === "classic") {
+      this.spawnRow();
+      this.dropGarbage();
+      this.stepRowsDown();
+    } else {
+      this.dropGarbage();
+    }
+
+    if (!this.isGameOver) {
+      this.emit("turnEnd", { turn: this.turn, score: this.score, summary: { ...this.volley } });
+    }
+  }
+
+  gameOver() {
+    this.isLaunching = false;
+    this.launchAngle = null;
+    this.isGameOver = true;
+    this.emit("gameOver", { score: this.score, turn: this.turn, levelResult: this.levelResult });
+  }
+
+  loadLevel() {
+    this.ballChain = this.level.balls;
+    this.blocks = this.level.blocks.map(({ col, row, strength, type, shape }) => new Block(col, row, strength, type, shape));
+    this.barrierBlocks = this.level.barriers.map(({ x, y, size, strength, shape }) => new BarrierBlock(x, y, size, strength, shape));
+    this.invalidateBroadphase();
+  }
+
+  // Stars go by the number of turns the win took, against the level's limits.
+  checkLevelEnd() {
+    const turns = this.turn - 1;
+    const { goal, stars, turnLimit } = this.level;
+    const won =
+      goal.type === "clear"
+        ? !this.blocks.some((block) => block.solid) && this.barrierBlocks.length === 0
+        : this.score >= goal.target;
+    if (!won && turns < turnLimit) return;
+
+    let earned = 0;
+    if (won) {
+      earned = turns <= stars[0] ? 3 : turns <= stars[1] ? 2 : 1;
+    }
+    this.levelResult = { won, stars: earned, turns };
+    this.gameOver();
+  }
+
+  spawnRow() {
+    const minBlocks = Math.min(3, GRID_COLUMNS);
+    const maxBlocks = Math.max(3, Math.floor(GRID_COLUMNS * 0.85));
+    let blockCount = Math.floor(this.rng.next() * (maxBlocks - minBlocks + 1)) + minBlocks;
+
+    const taken = new Set();
+    while (blockCount > 0) {
+      const col = Math.floor(this.rng.next() * GRID_COLUMNS);
+      if (taken.has(col)) continue;
+      taken.add(col);
+      blockCount--;
+
+      const strength = Math.max(1, Math.round(this.turn * this.rules.blockStrength * (0.5 + this.rng.next())));
+      this.blocks.push(new Block(col, 0, strength, "block", this.rollShape()));
+    }
+
+    if (this.rng.next() > 1 - this.rules.pickupChance) {
+      const freeCols = [...Array(GRID_COLUMNS).keys()].filter((c) => !taken.has(c));
+      if (freeCols.length) {
+        const spawnCol = randomChoice(freeCols, this.rng);
+        taken.add(spawnCol);
+        this.blocks.push(new Block(spawnCol, 0, 1, "pickup"));
+      }
+    }
+
+    const powerUp = this.rollPowerUp();
+    if (powerUp) {
+      const freeCols = [...Array(GRID_COLUMNS).keys()].filter((c) => !taken.has(c));
+      if (freeCols.length) {
+        this.blocks.push(new Block(randomChoice(freeCols, this.rng), 0, 1, powerUp));
+      }
+    }
+    this.invalidateBroadphase();
+  }
+
+  // Queues garbage sent by a versus opponent. It lands the next time this
+  // board advances, on top of the regular spawn.
+  receiveGarbage(count) {
+    if (this.level || this.isGameOver) return;
+    this.incomingGarbage += count;
+  }
+
+  // In classic, garbage fills free cells of the freshly spawned top row and
+  // whatever does not fit waits for the next row. In barriers it arrives as
+  // extra floating blocks.
+  dropGarbage() {
+    if (this.incomingGarbage === 0) return;
+    if (this.mode === "barriers") {
+      for (; this.incomingGarbage > 0; this.incomingGarbage--) {
+        this.spawnFloatingBlock({ force: true, rng: this.garbageRng });
+      }
+      return;
+    }
+
+    const taken = new Set(this.blocks.filter((block) => block.row === 0).map((block) => block.col));
+    const freeCols = [...Array(GRID_COLUMNS).keys()].filter((c) => !taken.has(c));
+    const strength = Math.max(1, Math.round(this.turn * this.rules.blockStrength * GARBAGE_STRENGTH));
+    while (this.incomingGarbage > 0 && freeCols.length) {
+      const [col] = freeCols.splice(Math.floor(this.garbageRng.next() * freeCols.length), 1);
+      const block = new Block(col, 0, strength);
+      block.garbage = true;
+      this.blocks.push(block);
+      this.incomingGarbage--;
+    }
+    this.invalidateBroadphase();
+  }
+
+  rollShape(rng = this.rng) {
+    const roll = rng.next();
+    if (this.turn < SHAPE_CHANCE.minTurn) return "square";
+    if (roll < SHAPE_CHANCE.triangle) {
+      return randomChoice(TRIANGLE_SHAPES, rng);
+    }
+    if (roll < SHAPE_CHANCE.triangle + SHAPE_CHANCE.circle) {
+      return "circle";
+    }
+    return "square";
+  }
+
+  rollPowerUp() {
+    const chance = Math.min(POWER_UP_CHANCE.max, POWER_UP_CHANCE.base + POWER_UP_CHANCE.perTurn * this.turn);
+    if (this.rng.next() >= chance) return null;
+
+    const types = Object.keys(POWER_UPS).filter((type) => this.turn >= POWER_UPS[type].minTurn);
+    if (!types.length) return null;
+    const weights = types.map((type) => POWER_UPS[type].weight + POWER_UPS[type].growth * this.turn);
+    return weightedChoice(types, weights, this.rng);
+  }
+
+  stepRowsDown() {
+    const atBase = [];
+    for (const block of this.blocks) {
+      block.updateRow(block.row + 1);
+      if (block.row * GRID_SIZE >= GAME_HEIGHT - GRID_SIZE) {
+        // Pickups and power-ups that reach the base are simply lost; real blocks end the run.
+        if (block.solid) {
+          atBase.push(block);
+        } else {
+          block.destroyed = true;
+        }
+      }
+    }
+
+    // A shield sacrifices itself to clear the blocks that reached the base.
+    if (atBase.length && this.shields > 0) {
+      this.shields--;
+      for (const block of atBase) {
+        block.destroyed = true;
+      }
+      this.emit("shieldUsed", { shields: this.shields, blocks: atBase });
+      atBase.length = 0;
+    }
+
+    this.blocks = this.blocks.filter((block) => !block.destroyed);
+    this.invalidateBroadphase();
+
+    const reachedBase = atBase.length > 0;
+    if (reachedBase) {
+      this.gameOver();
+    }
+    return reachedBase;
+  }
+
+  // Moves a ball through one tick, resolving every contact along the way in
+  // time order: walls, obstacles and finally the base line it lands on.
+  moveBall(ball, delta) {
+    ball.prevX = ball.x;
+    ball.prevY = ball.y;
+    let remaining = delta;
+
+    for (let i = 0; i < MAX_COLLISIONS_PER_STEP && remaining > 0; i++) {
+      const dx = ball.vx * remaining;
+      const dy = ball.vy * remaining;
+      const hit = this.findFirstHit(ball, dx, dy);
+      const t = hit ? hit.t : 1;
+
+      ball.x += dx * t;
+      ball.y += dy * t;
+      remaining -= remaining * t;
+      if (!hit) return;
+
+      if (hit.type === "base") {
+        this.landBall(ball);
+        return;
+      }
+
+      if (hit.type === "trigger") {
+        this.triggerBlock(ball, hit.target);
+        continue;
+      }
+
+      ball.reflect(hit.nx, hit.ny);
+      ball.x += hit.nx * CONTACT_EPSILON;
+      ball.y += hit.ny * CONTACT_EPSILON;
+
+      if (hit.type === "wall") {
+        this.emit("wallBounce", { x: ball.x, y: ball.y });
+      } else {
+        this.hitObstacle(hit.target);
+      }
+    }
+  }
+
+  invalidateBroadphase() {
+    this.broadphaseDirty = true;
+  }
+
+  rebuildBroadphase() {
+    this.broadphase.clear();
+    for (const list of [this.blocks, this.barrierBlocks]) {
+      for (const obstacle of list) {
+        if (obstacle.destroyed) continue;
+        const collider = obstacle.collider;
+        this.broadphase.insert({ obstacle, collider, bounds: colliderBounds(collider), stamp: 0 });
+      }
+    }
+    this.broadphaseDirty = false;
+  }
+
+  queryObstacles(ball, dx, dy) {
+    if (this.broadphaseDirty) {
+      this.rebuildBroadphase();
+    }
+    return this.broadphase.query(
+      Math.min(ball.x, ball.x + dx) - BALL_RADIUS,
+      Math.min(ball.y, ball.y + dy) - BALL_RADIUS,
+      Math.max(ball.x, ball.x + dx) + BALL_RADIUS,
+      Math.max(ball.y, ball.y + dy) + BALL_RADIUS,
+    );
+  }
+
+  removeDestroyed() {
+    this.blocks = this.blocks.filter((block) => !block.destroyed);
+    this.barrierBlocks = this.barrierBlocks.filter((barrier) => !barrier.destroyed);
+    this.hasDestroyed = false;
+    this.invalidateBroadphase();
+  }
+
+  findFirstHit(ball, dx, dy, { triggers = true } = {}) {
+    let best = null;
+    const consider = (t, nx, ny, type, target = null) => {
+      if (t <= 1 && (!best || t < best.t)) {
+        best = { t: Math.max(0, t), nx, ny, type, target };
+      }
+    };
+
+    if (dx < 0) {
+      consider((BALL_RADIUS - ball.x) / dx, 1, 0, "wall");
+    } else if (dx > 0) {
+      consider((GAME_WIDTH - BALL_RADIUS - ball.x) / dx, -1, 0, "wall");
+    }
+    if (dy < 0) {
+      consider((BALL_RADIUS - ball.y) / dy, 0, 1, "wall");
+    } else if (dy > 0) {
+      consider((this.baseY - BALL_RADIUS - ball.y) / dy, 0, -1, "base");
+    }
+
+    for (const { obstacle, collider } of this.queryObstacles(ball, dx, dy)) {
+      if (obstacle.destroyed) continue;
+      if (obstacle.solid) {
+        const hit = sweepCircle(ball.x, ball.y, dx, dy, BALL_RADIUS, collider);
+        if (hit) {
+          consider(hit.t, hit.nx, hit.ny, "obstacle", obstacle);
+        }
+      } else if (triggers) {
+        const { x, y } = obstacle.center;
+        const t = enterCircle(ball.x, ball.y, dx, dy, x, y, obstacle.triggerRadius + BALL_RADIUS);
+        if (t !== null) {
+          consider(t, 0, 0, "trigger", obstacle);
+        }
+      }
+    }
+    return best;
+  }
+
+  triggerBlock(ball, block) {
+    const { x, y } = block.center;
+    if (!POWER_UPS[block.type]?.persistent) {
+      block.destroyed = true;
+      this.hasDestroyed = true;
+    }
+
+    switch (block.type) {
+      case "pickup":
+        this.ballChain++;
+        this.emit("pickup", { x, y, ballChain: this.ballChain });
+        break;
+      case "coin":
+        this.coins++;
+        this.emit("coin", { x, y, coins: this.coins });
+        break;
+      case "shield":
+        this.shields++;
+        this.emit("shield", { x, y, shields: this.shields });
+        break;
+      case "bomb":
+        this.emit("bomb", { x, y });
+        this.damageCells((other) => Math.abs(other.col - block.col) <= 1 && Math.abs(other.row - block.row) <= 1, this.bombDamage());
+        break;
+      case "laserH":
+        block.triggered = true;
+        this.emit("laser", { x, y, orientation: "horizontal" });
+        this.damageCells((other) => other.row === block.row, 1);
+        break;
+      case "laserV":
+        block.triggered = true;
+        this.emit("laser", { x, y, orientation: "vertical" });
+        this.damageCells((other) => other.col === block.col, 1);
+        break;
+      case "splitter": {
+        block.triggered = true;
+        const speed = Math.hypot(ball.vx, ball.vy);
+        const angle = -Math.PI * (0.5 + (this.volleyRng.next() - 0.5) * SPLITTER_SPREAD);
+        ball.vx = Math.cos(angle) * speed;
+        ball.vy = Math.sin(angle) * speed;
+        this.emit("split", { x, y });
+        break;
+      }
+    }
+  }
+
+  bombDamage() {
+    return Math.max(3, Math.ceil(this.turn / 2));
+  }
+
+  damageCells(predicate, amount) {
+    for (const block of this.blocks) {
+      if (block.destroyed || !block.solid || !predicate(block)) continue;
+      const { x, y } = block.center;
+      this.damageTarget(block, x, y, amount);
+    }
+  }
+
+  hitObstacle(target) {
+    if (target instanceof BarrierBlock) {
+      if (this.damageTarget(target, target.x, target.y) && !this.level) {
+        this.spawnFloatingBlock({ force: true, rng: this.volleyRng });
+      }
+      return;
+    }
+
+    const { x, y } = target.center;
+    this.damageTarget(target, x, y);
+  }
+
+  // Ray-casts the first ball of a volley from the base without touching any
+  // state. Returns the path as points: the start, each bounce, then a final
+  // point `tailLength` past the last bounce (or where it lands).
+  tracePath(angle, { bounces = 2, tailLength = 140 } = {}) {
+    const aim = quantizeAngle(clampAimAngle(angle, this.rules.aimLimit));
+    const probe = { x: this.baseBallPosition, y: this.baseY - BALL_RADIUS, vx: Math.cos(aim), vy: Math.sin(aim) };
+    const points = [{ x: probe.x, y: probe.y }];
+
+    for (let bounce = 0; bounce <= bounces; bounce++) {
+      const reach = bounce === bounces ? tailLength : TRACE_LENGTH;
+      const dx = probe.vx * reach;
+      const dy = probe.vy * reach;
+      const hit = this.findFirstHit(probe, dx, dy, { triggers: false });
+      const t = hit ? hit.t : 1;
+      probe.x += dx * t;
+      probe.y += dy * t;
+      points.push({ x: probe.x, y: probe.y });
+      if (!hit || hit.type === "base") break;
+
+      reflectVelocity(probe, hit.nx, hit.ny);
+      probe.x += hit.nx * CONTACT_EPSILON;
+      probe.y += hit.ny * CONTACT_EPSILON;
+    }
+    return points;
+  }
+
+  landBall(ball) {
+    ball.setResting(this.baseY);
+    if (this.activeBallChainLanding === null) {
+      this.activeBallChainLanding = ball.x;
+    }
+    this.emit("land", { x: ball.x, y: ball.y });
+  }
+
+  comboMultiplier() {
+    return Math.min(COMBO.maxMultiplier, 1 + Math.floor(this.volley.hits / COMBO.step) * COMBO.bonus);
+  }
+
+  addScore(points, kind, x, y) {
+    this.score += points;
+    this.emit("score", { points, kind, x, y, combo: this.volley.hits });
+  }
+
+  damageTarget(target, x, y, amount = 1) {
+    const basePoints = HIT_SCORE * Math.min(amount, target.strength);
+    const points = Math.round(basePoints * this.comboMultiplier());
+    this.volley.hits++;
+    this.volley.bestCombo = Math.max(this.volley.bestCombo, this.volley.hits);
+    this.volley.hitPoints += basePoints;
+    this.volley.comboPoints += points - basePoints;
+    this.addScore(points, "hit", x, y);
+    target.strength -= amount;
+
+    if (target.strength <= 0) {
+      target.destroyed = true;
+      this.hasDestroyed = true;
+      this.blocksDestroyed++;
+      this.volley.destroyed++;
+      this.tickKills.push({ x, y });
+      if (target instanceof BarrierBlock || this.isRowCleared(target)) {
+        this.volley.garbage++;
+      }
+      this.emit("destroy", { x, y, target, combo: this.volley.hits });
+      return true;
+    }
+
+    this.emit("hit", { x, y, target, combo: this.volley.hits });
+    return false;
+  }
+
+  // True once a destroyed block leaves no other solid block in its row.
+  isRowCleared(block) {
+    return !this.blocks.some((other) => other !== block && other.solid && !other.destroyed && other.row === block.row);
+  }
+
+  // Several obstacles destroyed in the same tick (a bomb, a laser, or one ball
+  // clipping two corners) pay a bonus for every kill after the first.
+  awardMultiKill() {
+    const kills = this.tickKills.length;
+    const points = MULTI_KILL_SCORE * (kills - 1);
+    const x = this.tickKills.reduce((sum, kill) => sum + kill.x, 0) / kills;
+    const y = this.tickKills.reduce((sum, kill) => sum + kill.y, 0) / kills;
+    this.volley.multiKills++;
+    this.volley.multiKillPoints += points;
+    this.addScore(points, "multiKill", x, y);
+  }
+
+  // Awarded when a volley that destroyed something leaves no solid obstacle.
+  awardBoardClear() {
+    if (this.volley.destroyed === 0) return;
+    if (this.blocks.some((block) => block.solid) || this.barrierBlocks.length > 0) return;
+    this.volley.clearPoints += BOARD_CLEAR_SCORE;
+    this.addScore(BOARD_CLEAR_SCORE, "boardClear", GAME_WIDTH / 2, GAME_HEIGHT / 2);
+  }
+
+  seedFloatingBlocks() {
+    const seedCount = 6;
+    for (let i = 0; i < seedCount; i++) {
+      this.spawnFloatingBlock({ force: true });
+    }
+  }
+
+  spawnFloatingBlock({ force = false, rng = this.rng } = {}) {
+    if (this.isGameOver) return;
+
+    const size = GRID_SIZE * 0.9;
+    const padding = size / 2 + 12;
+    const maxY = GAME_HEIGHT * 0.6;
+    const attempts = 18;
+    const strengthBase = this.turn + 2;
+
+    const createCandidate = () => {
+      const x = padding + rng.next() * (GAME_WIDTH - padding * 2);
+      const y = padding + rng.next() * (maxY - padding) + 32;
+      const strength = Math.max(2, Math.round(strengthBase * this.rules.barrierStrength * (0.6 + rng.next())));
+      return new BarrierBlock(x, y, size, strength, this.rollShape(rng));
+    };
+
+    let candidate = createCandidate();
+    for (let i = 0; i < attempts; i++) {
+      if (!this.isBarrierOverlapping(candidate)) break;
+      candidate = createCandidate();
+    }
+
+    if (!force && this.barrierBlocks.length >= this.rules.maxFloatingBlocks) {
+      return;
+    }
+
+    if (force && this.barrierBlocks.length >= this.rules.maxFloatingBlocks) {
+      this.barrierBlocks.shift();
+    }
+
+    this.barrierBlocks.push(candidate);
+    this.invalidateBroadphase();
+  }
+
+  isBarrierOverlapping(candidate) {
+    const minGap = candidate.size + 24;
+    const minGapSq = minGap * minGap;
+    for (const barrier of this.barrierBlocks) {
+      const dx = barrier.x - candidate.x;
+      const dy = barrier.y - candidate.y;
+      if (dx * dx + dy * dy < minGapSq) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Plain-data snapshot of the run, safe to serialize or compare between runs.
+  getState() {
+    return {
+      seed: this.seed,
+      mode: this.mode,
+      rules: { ...this.rules },
+      tick: this.tickCount,
+      turn: this.turn,
+      score: this.score,
+      coins: this.coins,
+      shields: this.shields,
+      ballsFired: this.ballsFired,
+      blocksDestroyed: this.blocksDestroyed,
+      incomingGarbage: this.incomingGarbage,
+      ballChain: this.ballChain,
+      baseX: this.baseBallPosition,
+      baseY: this.baseY,
+      isLaunching: this.isLaunching,
+      isGameOver: this.isGameOver,
+      levelResult: this.levelResult && { ...this.levelResult },
+      pendingBalls: this.pendingBalls,
+      balls: this.balls.map(({ x, y, vx, vy, resting }) => ({ x, y, vx, vy, resting })),
+      blocks: this.blocks.map(({ col, row, strength, type, shape, triggered, garbage }) => ({ col, row, strength, type, shape, triggered, garbage })),
+      barriers: this.barrierBlocks.map(({ x, y, size, strength, shape }) => ({ x, y, size, strength, shape })),
+    };
+  }
+
+  getReplay() {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      mode: this.mode,
+      rules: { ...this.rules },
+      level: this.level,
+      ticks: this.tickCount,
+      inputs: this.inputs.map((input) => ({ ...input })),
+    };
+  }
+
+  // Snapshot of a run between turns, enough to carry on exactly where it left
+  // off. Mid-volley state (balls in flight) is deliberately not saved.
+  serialize() {
+    if (this.isLaunching || this.isGameOver) {
+      throw new Error("Only a run waiting for its next shot can be saved");
+    }
+    if (this.level) {
+      throw new Error("Level runs are not saved");
+    }
+    return {
+      version: SAVE_VERSION,
+      seed: this.seed,
+      mode: this.mode,
+      rules: { ...this.rules },
+      rngState: this.rng.state,
+      volleyRngState: this.volleyRng.state,
+      tick: this.tickCount,
+      turn: this.turn,
+      score: this.score,
+      coins: this.coins,
+      shields: this.shields,
+      ballsFired: this.ballsFired,
+      blocksDestroyed: this.blocksDestroyed,
+      ballChain: this.ballChain,
+      baseBallPosition: this.baseBallPosition,
+      inputs: this.inputs.map((input) => ({ ...input })),
+      blocks: this.blocks
+        .filter((block) => !block.destroyed)
+        .map(({ col, row, strength, type, shape }) => ({ col, row, strength, type, shape })),
+      barriers: this.barrierBlocks
+        .filter((barrier) => !barrier.destroyed)
+        .map(({ x, y, size, strength, shape }) => ({ x, y, size, strength, shape })),
+    };
+  }
+
+  // Rebuilds a run from serialize() output. Throws on anything malformed so the
+  // caller can fall back to a fresh game.
+  static deserialize(data) {
+    requireSave(data && typeof data === "object", "data");
+    requireSave(isWholeNumber(data.version) && data.version >= 1 && data.version <= SAVE_VERSION, "version");
+    requireSave(GAME_MODES.includes(data.mode), "mode");
+    // Version 1 saves predate rulesets and were all played on normal rules.
+    const rules = data.version >= 2 ? data.rules : RULESETS[DEFAULT_RULESET];
+    requireSave(rules && RULE_FIELDS.every((field) => Number.isFinite(rules[field])), "rules");
+    for (const field of ["seed", "tick", "score", "coins", "shields", "ballsFired", "blocksDestroyed"]) {
+      requireSave(isWholeNumber(data[field]), field);
+    }
+    requireSave(isWholeNumber(data.rngState) && data.rngState > 0 && data.rngState <= 0xffffffff, "rngState");
+    // Saves before version 3 drew volley randomness from the main stream.
+    if (data.version >= 3) {
+      requireSave(isWholeNumber(data.volleyRngState) && data.volleyRngState > 0 && data.volleyRngState <= 0xffffffff, "volleyRngState");
+    }
+    requireSave(isWholeNumber(data.turn) && data.turn >= 1, "turn");
+    requireSave(isWholeNumber(data.ballChain) && data.ballChain >= 1, "ballChain");
+    requireSave(Number.isFinite(data.baseBallPosition) && data.baseBallPosition >= 0 && data.baseBallPosition <= GAME_WIDTH, "baseBallPosition");
+
+    requireSave(Array.isArray(data.blocks), "blocks");
+    const blocks = data.blocks.map(({ col, row, strength, type, shape } = {}) => {
+      requireSave(isWholeNumber(col) && col < GRID_COLUMNS && isWholeNumber(row), "blocks");
+      requireSave(isWholeNumber(strength) && strength >= 1, "blocks");
+      requireSave(BLOCK_TYPES.includes(type) && BLOCK_SHAPES.includes(shape), "blocks");
+      return new Block(col, row, strength, type, shape);
+    });
+
+    requireSave(Array.isArray(data.barriers), "barriers");
+    const barriers = data.barriers.map(({ x, y, size, strength, shape } = {}) => {
+      requireSave([x, y, size].every(Number.isFinite) && size > 0, "barriers");
+      requireSave(isWholeNumber(strength) && strength >= 1 && BLOCK_SHAPES.includes(shape), "barriers");
+      return new BarrierBlock(x, y, size, strength, shape);
+    });
+
+    requireSave(Array.isArray(data.inputs), "inputs");
+    let previousTick = 0;
+    const inputs = data.inputs.map(({ tick, angle, recall } = {}) => {
+      requireSave(isWholeNumber(tick) && tick >= previousTick && tick <= data.tick, "inputs");
+      requireSave(recall === true || Number.isFinite(angle), "inputs");
+      previousTick = tick;
+      return recall ? { tick, recall: true } : { tick, angle };
+    });
+
+    const sim = new Simulation({ seed: data.seed, mode: data.mode, rules });
+    sim.rng.state = data.rngState;
+    if (data.version >= 3) {
+      sim.volleyRng.state = data.volleyRngState;
+    }
+    sim.tickCount = data.tick;
+    sim.turn = data.turn;
+    sim.score = data.score;
+    sim.coins = data.coins;
+    sim.shields = data.shields;
+    sim.ballsFired = data.ballsFired;
+    sim.blocksDestroyed = data.blocksDestroyed;
+    sim.ballChain = data.ballChain;
+    sim.baseBallPosition = data.baseBallPosition;
+    sim.inputs = inputs;
+    sim.blocks = blocks;
+    sim.barrierBlocks = barriers;
+    sim.invalidateBroadphase();
+    return sim;
+  }
+}
+
+// Compact, URL-safe replay code: "version.mode.rules.seed.ticks.inputs", where
+// each input is "<ticks since previous input>:<angle * ANGLE_PRECISION>" in
+// base36. A recall (version 2+) is the tick gap on its own. Codes before
+// version 3 have no rules part and were played on normal rules.
+function encodeReplay(replay) {
+  if (replay.level) {
+    throw new Error("Level runs have no replay code");
+  }
+  let previousTick = 0;
+  const inputs = replay.inputs.map(({ tick, angle, recall }) => {
+    const gap = tick - previousTick;
+    previousTick = tick;
+    if (recall) return gap.toString(36);
+    return `${gap.toString(36)}:${Math.round(angle * ANGLE_PRECISION).toString(36)}`;
+  });
+  return [
+    replay.version,
+    replay.mode,
+    rulesetKey(replay.rules),
+    formatSeed(replay.seed),
+    replay.ticks.toString(36),
+    inputs.join("_"),
+  ].join(".");
+}
+
+function decodeReplay(code) {
+  const parts = String(code ?? "").trim().split(".");
+  // Older codes are a subset of the current format, so they still decode.
+  const versionNumber = Number(parts[0]);
+  if (!Number.isInteger(versionNumber) || versionNumber < 1 || versionNumber > REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${parts[0]}`);
+  }
+  if (versionNumber < 3) {
+    parts.splice(2, 0, DEFAULT_RULESET);
+  }
+  if (parts.length !== 6) {
+    throw new Error("Invalid replay code");
+  }
+
+  const [, mode, rulesCode, seedCode, ticksCode, inputsCode] = parts;
+  if (!GAME_MODES.includes(mode)) {
+    throw new Error(`Unknown replay mode: ${mode}`);
+  }
+  const rules = parseRuleset(rulesCode);
+  if (!rules) {
+    throw new Error(`Unknown replay ruleset: ${rulesCode}`);
+  }
+
+  const seed = parseSeed(seedCode);
+  const ticks = /^[0-9a-z]+$/.test(ticksCode) ? parseInt(ticksCode, 36) : NaN;
+  if (seed === null || !Number.isSafeInteger(ticks)) {
+    throw new Error("Invalid replay code");
+  }
+  if (ticks > MAX_REPLAY_TICKS) {
+    throw new Error("Replay is too long");
+  }
+
+  let tick = 0;
+  const inputs = [];
+  for (const token of inputsCode ? inputsCode.split("_") : []) {
+    const match = /^([0-9a-z]+)(?::(-?[0-9a-z]+))?$/.exec(token);
+    if (!match) {
+      throw new Error("Invalid replay input");
+    }
+    tick += parseInt(match[1], 36);
+    if (tick > ticks) {
+      throw new Error("Invalid replay input");
+    }
+    if (match[2] === undefined) {
+      inputs.push({ tick, recall: true });
+      continue;
+    }
+    const angle = parseInt(match[2], 36) / ANGLE_PRECISION;
+    if (!Number.isFinite(angle)) {
+      throw new Error("Invalid replay input");
+    }
+    inputs.push({ tick, angle });
+  }
+
+  return { version: REPLAY_VERSION, seed, mode, rules, ticks, inputs };
+}
+
+// Re-simulates a recorded run from its seed, feeding each input back in on the
+// exact tick it was made. Seeking backwards restarts from tick 0.
+class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.sim = new Simulation({ seed: replay.seed, mode: replay.mode, rules: replay.rules, level: replay.level });
+    this.inputIndex = 0;
+    this.timeAccumulator = 0;
+  }
+
+  get tick() {
+    return this.sim.tickCount;
+  }
+
+  get length() {
+    return this.replay.ticks;
+  }
+
+  get finished() {
+    return this.sim.isGameOver || this.sim.tickCount >= this.replay.ticks;
+  }
+
+  restart() {
+    this.sim.reset();
+    this.inputIndex = 0;
+    this.timeAccumulator = 0;
+  }
+
+  applyInputs() {
+    const { inputs } = this.replay;
+    while (this.inputIndex < inputs.length && inputs[this.inputIndex].tick <= this.sim.tickCount) {
+      const input = inputs[this.inputIndex++];
+      if (input.tick !== this.sim.tickCount) continue;
+      if (input.recall) {
+        this.sim.recall();
+      } else {
+        this.sim.launch(input.angle);
+      }
+    }
+  }
+
+  advance(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this.applyInputs();
+      if (this.finished) break;
+      this.sim.tick();
+    }
+    // A recall can end the run on the replay's very last tick, after which
+    // nothing is simulated, so inputs on that tick are applied here.
+    if (this.sim.tickCount >= this.replay.ticks) {
+      this.applyInputs();
+    }
+  }
+
+  advanceTime(delta) {
+    this.timeAccumulator += delta;
+    const ticks = Math.floor(this.timeAccumulator / FIXED_STEP);
+    this.timeAccumulator -= ticks * FIXED_STEP;
+    this.advance(ticks);
+  }
+
+  seek(tick) {
+    const target = Number.isFinite(tick) ? clamp(Math.round(tick), 0, this.length) : 0;
+    if (target < this.sim.tickCount) {
+      this.restart();
+    }
+    const muted = this.sim.muted;
+    this.sim.muted = true;
+    this.advance(target - this.sim.tickCount);
+    this.sim.muted = muted;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    GAME_WIDTH,
+    GAME_HEIGHT,
+    GRID_COLUMNS,
+    GRID_SIZE,
+    BALL_RADIUS,
+    BALL_SPEED,
+    MAX_FLOATING_BLOCKS,
+    GAME_MODES,
+    RULE_LIMITS,
+    RULESETS,
+    DEFAULT_RULESET,
+    normalizeRules,
+    rulesetKey,
+    parseRuleset,
+    POWER_UPS,
+    FIXED_STEP,
+    HIT_SCORE,
+    COMBO,
+    MULTI_KILL_SCORE,
+    BOARD_CLEAR_SCORE,
+    GARBAGE_STRENGTH,
+    REPLAY_VERSION,
+    MAX_REPLAY_TICKS,
+    SAVE_VERSION,
+    LEVEL_VERSION,
+    LEVEL_ROWS,
+    LEVEL_GOALS,
+    LEVEL_BARRIER_SIZE,
+    BLOCK_TYPES,
+    parseLevel,
+    RNG,
+    Emitter,
+    Block,
+    Ball,
+    BarrierBlock,
+    Simulation,
+    ReplayPlayer,
+    encodeReplay,
+    decodeReplay,
+    BLOCK_CORNER_RADIUS,
+    BARRIER_CORNER_RADIUS,
+    BLOCK_SHAPES,
+    roundedRectCollider,
+    triangleVertices,
+    shapeCollider,
+    sweepCircle,
+    SpatialGrid,
+    clamp,
+    clampAimAngle,
+    quantizeAngle,
+    hashString,
+    randomSeed,
+    formatSeed,
+    parseSeed,
+    dailyKey,
+    dailySeed,
+  };
+}
@@ -0,0 +1,149 @@
+// Unlockable ball skins, trails and launcher styles, bought with coins picked
+// up during play. Owned items, the equipped set and the coin balance are
+// persisted to localStorage.
+const COSMETICS_KEY = "ballz.cosmetics";
+const COSMETICS_VERSION = 1;
+
+// Catalog per slot; the first item of each is free and equipped by default.
+// A skin is a flat `fill`, a radial `gradient` or an `emoji`; a null fill
+// follows the theme's ball color. Trail `length` counts history samples.
+const COSMETICS = {
+  skin: {
+    classic: { name: "Classic", price: 0, fill: null },
+    ember: { name: "Ember", price: 8, fill: "#ff6f3c" },
+    mint: { name: "Mint", price: 8, fill: "#7cf2c4" },
+    sunset: { name: "Sunset", price: 20, gradient: ["#ffd93d", "#ff4971"] },
+    ocean: { name: "Ocean", price: 20, gradient: ["#b8f2ff", "#3a7bd5"] },
+    football: { name: "Football", price: 30, emoji: "⚽" },
+    comet: { name: "Comet", price: 30, emoji: "☄️" },
+    star: { name: "Star", price: 40, emoji: "⭐" },
+  },
+  trail: {
+    none: { name: "None", price: 0, length: 0 },
+    wisp: { name: "Wisp", price: 10, length: 6, width: 0.5 },
+    streak: { name: "Streak", price: 25, length: 12, width: 1 },
+    rainbow: { name: "Rainbow", price: 40, length: 14, width: 1, rainbow: true },
+  },
+  launcher: {
+    dot: { name: "Dot", price: 0 },
+    ring: { name: "Ring", price: 12 },
+    crosshair: { name: "Crosshair", price: 18 },
+    cannon: { name: "Cannon", price: 25 },
+  },
+};
+const COSMETIC_SLOTS = Object.keys(COSMETICS);
+
+function defaultItem(slot) {
+  return Object.keys(COSMETICS[slot])[0];
+}
+
+function createDefaultLocker() {
+  const owned = {};
+  const equipped = {};
+  for (const slot of COSMETIC_SLOTS) {
+    owned[slot] = [defaultItem(slot)];
+    equipped[slot] = defaultItem(slot);
+  }
+  return { version: COSMETICS_VERSION, coins: 0, owned, equipped };
+}
+
+// Unknown items (say, removed from the catalog) are dropped, and anything
+// equipped must be owned.
+function migrateLocker(data) {
+  const locker = createDefaultLocker();
+  if (!data || typeof data !== "object" || data.version !== COSMETICS_VERSION) return locker;
+
+  if (Number.isInteger(data.coins) && data.coins >= 0) {
+    locker.coins = data.coins;
+  }
+  for (const slot of COSMETIC_SLOTS) {
+    const owned = data.owned && Array.isArray(data.owned[slot]) ? data.owned[slot] : [];
+    for (const id of owned) {
+      if (Object.hasOwn(COSMETICS[slot], id) && !locker.owned[slot].includes(id)) {
+        locker.owned[slot].push(id);
+      }
+    }
+    const equipped = data.equipped && data.equipped[slot];
+    if (locker.owned[slot].includes(equipped)) {
+      locker.equipped[slot] = equipped;
+    }
+  }
+  return locker;
+}
+
+class CosmeticsLocker {
+  constructor(storage) {
+    this.storage = storage;
+    this.data = this.load();
+  }
+
+  load() {
+    if (!this.storage) return createDefaultLocker();
+    try {
+      return migrateLocker(JSON.parse(this.storage.getItem(COSMETICS_KEY)));
+    } catch (e) {
+      console.warn("Could not read cosmetics");
+      return createDefaultLocker();
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(COSMETICS_KEY, JSON.stringify(this.data));
+    } catch (e) {
+      console.warn("Could not save cosmetics");
+    }
+  }
+
+  get coins() {
+    return this.data.coins;
+  }
+
+  addCoins(amount) {
+    this.data.coins += amount;
+    this.save();
+  }
+
+  owns(slot, id) {
+    return this.data.owned[slot].includes(id);
+  }
+
+  equippedId(slot) {
+    return this.data.equipped[slot];
+  }
+
+  // Catalog entry of the item equipped in a slot.
+  equipped(slot) {
+    return COSMETICS[slot][this.data.equipped[slot]];
+  }
+
+  // Returns false, spending nothing, if the item is unknown, already owned or
+  // too expensive.
+  buy(slot, id) {
+    const item = COSMETICS[slot] && COSMETICS[slot][id];
+    if (!item || this.owns(slot, id) || item.price > this.data.coins) return false;
+    this.data.coins -= item.price;
+    this.data.owned[slot].push(id);
+    this.save();
+    return true;
+  }
+
+  equip(slot, id) {
+    if (!COSMETICS[slot] || !this.owns(slot, id)) return false;
+    this.data.equipped[slot] = id;
+    this.save();
+    return true;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    COSMETICS_KEY,
+    COSMETICS_VERSION,
+    COSMETICS,
+    COSMETIC_SLOTS,
+    migrateLocker,
+    CosmeticsLocker,
+  };
+}
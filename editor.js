@@ -0,0 +1,112 @@
+// Level editor state. It edits a plain level object in the JSON format read by
+// parseLevel() in core.js; script.js owns the form, the canvas and drawing.
+const EDITOR_TOOLS = ["block", "pickup", ...Object.keys(POWER_UPS), "barrier", "erase"];
+const EDITOR_BARRIER_SIZE = Math.round(GRID_SIZE * 0.9);
+
+function createEmptyLevel() {
+  return {
+    version: LEVEL_VERSION,
+    name: "Untitled",
+    balls: 3,
+    turnLimit: 5,
+    goal: { type: "clear" },
+    stars: [3, 4],
+    blocks: [],
+    barriers: [],
+  };
+}
+
+class LevelEditor {
+  constructor(level = createEmptyLevel()) {
+    this.level = JSON.parse(JSON.stringify(level));
+    this.tool = EDITOR_TOOLS[0];
+    this.strength = 5;
+    this.shape = BLOCK_SHAPES[0];
+  }
+
+  // Grid tools paint while dragging; barriers are placed one per click.
+  get paints() {
+    return this.tool !== "barrier";
+  }
+
+  cellAt(x, y) {
+    const col = Math.floor(x / GRID_SIZE);
+    const row = Math.floor(y / GRID_SIZE);
+    if (col < 0 || col >= GRID_COLUMNS || row < 0 || row >= LEVEL_ROWS) return null;
+    return { col, row };
+  }
+
+  // Applies the current tool at a board position and reports whether the
+  // level changed.
+  applyAt(x, y) {
+    if (this.tool === "erase") return this.eraseAt(x, y);
+    if (this.tool === "barrier") return this.placeBarrier(x, y);
+
+    const cell = this.cellAt(x, y);
+    if (!cell) return false;
+    const block =
+      this.tool === "block"
+        ? { ...cell, strength: this.strength, type: "block", shape: this.shape }
+        : { ...cell, strength: 1, type: this.tool, shape: "square" };
+    const existing = this.level.blocks.find((other) => other.col === cell.col && other.row === cell.row);
+    if (existing && Object.keys(block).every((key) => existing[key] === block[key])) return false;
+    this.level.blocks = this.level.blocks.filter((other) => other !== existing);
+    this.level.blocks.push(block);
+    return true;
+  }
+
+  placeBarrier(x, y) {
+    const half = EDITOR_BARRIER_SIZE / 2;
+    this.level.barriers.push({
+      x: Math.round(clamp(x, half, GAME_WIDTH - half)),
+      y: Math.round(clamp(y, half, LEVEL_ROWS * GRID_SIZE - half)),
+      size: EDITOR_BARRIER_SIZE,
+      strength: this.strength,
+      shape: this.shape,
+    });
+    return true;
+  }
+
+  // Barriers sit on top of the grid, so they are erased first.
+  eraseAt(x, y) {
+    const index = this.level.barriers.findIndex(
+      (barrier) => Math.abs(barrier.x - x) <= barrier.size / 2 && Math.abs(barrier.y - y) <= barrier.size / 2,
+    );
+    if (index !== -1) {
+      this.level.barriers.splice(index, 1);
+      return true;
+    }
+
+    const cell = this.cellAt(x, y);
+    if (!cell) return false;
+    const count = this.level.blocks.length;
+    this.level.blocks = this.level.blocks.filter((block) => block.col !== cell.col || block.row !== cell.row);
+    return this.level.blocks.length !== count;
+  }
+
+  clear() {
+    this.level.blocks = [];
+    this.level.barriers = [];
+  }
+
+  // A simulation holding the level's obstacles, for drawing only. Unlike a
+  // level run it does not need the level to be valid yet.
+  buildPreview() {
+    const sim = new Simulation({ seed: 1 });
+    sim.blocks = this.level.blocks.map(({ col, row, strength, type, shape }) => new Block(col, row, strength, type, shape));
+    sim.barrierBlocks = this.level.barriers.map(({ x, y, size, strength, shape }) => new BarrierBlock(x, y, size, strength, shape));
+    sim.ballChain = this.level.balls;
+    sim.invalidateBroadphase();
+    return sim;
+  }
+
+  toJSON() {
+    return JSON.stringify(parseLevel(this.level), null, 2);
+  }
+
+  // Replaces the level with pasted JSON. Throws, leaving the level untouched,
+  // if the text is not a valid level.
+  importJSON(text) {
+    this.level = parseLevel(JSON.parse(text));
+  }
+}
@@ -0,0 +1,186 @@
+// Online races. Everyone in a room plays the same seed whenever they like and
+// sees the others' scores as they come in. The client reports each shot as it
+// is fired, and when a run ends the server (tools/race-server.js) re-plays
+// those shots on the room's seed before accepting the final score.
+//
+// Messages are JSON objects with a `type`:
+//   client -> server: join {room, name, rules}, launch {tick, angle},
+//                     recall {tick}, turn {turn, score}, finish {ticks, score}
+//   server -> client: welcome {room, id, seed, mode, rules}, standings {players},
+//                     error {message}
+const RACE_PORT = 8787;
+const RACE_MAX_PLAYERS = 8;
+const RACE_ROOM_LENGTH = 8;
+const RACE_NAME_LENGTH = 16;
+const RACE_MAX_TICKS = MAX_REPLAY_TICKS;
+// A shot and a recall per turn, for far more turns than any run lasts.
+const RACE_MAX_INPUTS = 5000;
+// Ticks re-played at a time by verifyRaceRunInSlices().
+const RACE_VERIFY_SLICE = 2000;
+// Barriers runs never top out, so they could never be verified.
+const RACE_MODE = "classic";
+
+function normalizeRoomCode(input) {
+  return String(input ?? "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, RACE_ROOM_LENGTH);
+}
+
+// The page's WebSocket server is the one that served it; a page opened from
+// disk falls back to a server on this machine.
+function defaultRaceUrl(location) {
+  if (location.protocol === "http:" || location.protocol === "https:") {
+    return `${location.protocol === "https:" ? "wss:" : "ws:"}//${location.host}`;
+  }
+  return `ws://localhost:${RACE_PORT}`;
+}
+
+const UNVERIFIED_RACE = { verified: false, score: 0, turns: 0 };
+
+function createRaceReplay({ seed, mode, rules }, { inputs, ticks }) {
+  if (!Number.isSafeInteger(ticks) || ticks < 0 || ticks > RACE_MAX_TICKS || inputs.length > RACE_MAX_INPUTS) {
+    return null;
+  }
+  const player = new ReplayPlayer({ version: REPLAY_VERSION, seed, mode, rules, ticks, inputs });
+  player.sim.muted = true;
+  return player;
+}
+
+function raceResult({ sim }, { ticks, score }) {
+  return {
+    verified: sim.isGameOver && sim.tickCount === ticks && sim.score === score,
+    score: sim.score,
+    // Completed turns; sim.turn is the one about to be played.
+    turns: sim.turn - 1,
+  };
+}
+
+// Re-plays a racer's shots on the room's seed. The result stands only if the
+// run tops out on exactly the claimed tick with exactly the claimed score.
+function verifyRaceRun(room, claim) {
+  const player = createRaceReplay(room, claim);
+  if (!player) return { ...UNVERIFIED_RACE };
+  player.advance(claim.ticks);
+  return raceResult(player, claim);
+}
+
+// The same check a slice at a time, so a server keeps answering the other
+// racers while it re-plays a long run.
+function verifyRaceRunInSlices(room, claim) {
+  const player = createRaceReplay(room, claim);
+  if (!player) return Promise.resolve({ ...UNVERIFIED_RACE });
+  return new Promise((resolve) => {
+    const advance = () => {
+      player.advance(Math.min(RACE_VERIFY_SLICE, claim.ticks - player.tick));
+      if (player.finished) {
+        resolve(raceResult(player, claim));
+        return;
+      }
+      setTimeout(advance, 0);
+    };
+    advance();
+  });
+}
+
+// One racer's connection. Events: "welcome", "standings", "error" and "close".
+class RaceClient extends Emitter {
+  constructor(url) {
+    super();
+    this.url = url;
+    this.socket = null;
+    this.room = null;
+    this.id = null;
+    this.players = [];
+  }
+
+  get connected() {
+    return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  join({ room, name, rules }) {
+    this.socket = new WebSocket(this.url);
+    this.socket.addEventListener("open", () => this.send({ type: "join", room, name, rules: rulesetKey(rules) }));
+    this.socket.addEventListener("message", (event) => this.handleMessage(event.data));
+    this.socket.addEventListener("close", () => {
+      this.socket = null;
+      this.emit("close", { joined: this.id !== null });
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      console.warn("Ignoring malformed race message");
+      return;
+    }
+    switch (message.type) {
+      case "welcome":
+        this.room = message.room;
+        this.id = message.id;
+        this.emit("welcome", {
+          room: message.room,
+          seed: message.seed,
+          mode: message.mode,
+          rules: parseRuleset(message.rules) || { ...RULESETS[DEFAULT_RULESET] },
+        });
+        break;
+      case "standings":
+        this.players = message.players;
+        this.emit("standings", { players: message.players });
+        break;
+      case "error":
+        this.emit("error", { message: message.message });
+        break;
+      default:
+        console.warn(`Unknown race message: ${message.type}`);
+    }
+  }
+
+  send(message) {
+    if (this.connected) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  reportLaunch(tick, angle) {
+    this.send({ type: "launch", tick, angle });
+  }
+
+  reportRecall(tick) {
+    this.send({ type: "recall", tick });
+  }
+
+  reportTurn(turn, score) {
+    this.send({ type: "turn", turn, score });
+  }
+
+  reportFinish(ticks, score) {
+    this.send({ type: "finish", ticks, score });
+  }
+
+  leave() {
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RACE_PORT,
+    RACE_MAX_PLAYERS,
+    RACE_ROOM_LENGTH,
+    RACE_NAME_LENGTH,
+    RACE_MAX_TICKS,
+    RACE_MAX_INPUTS,
+    RACE_MODE,
+    normalizeRoomCode,
+    defaultRaceUrl,
+    verifyRaceRun,
+    verifyRaceRunInSlices,
+    RaceClient,
+  };
+}
@@ -0,0 +1,135 @@
+// Local leaderboard and lifetime stats, persisted to localStorage.
+const RECORDS_KEY = "ballz.records";
+const RECORDS_VERSION = 2;
+const LEADERBOARD_SIZE = 10;
+// Runs recorded before rulesets existed were all played on normal rules.
+const LEGACY_RULESET = "normal";
+
+function createEmptyRecords() {
+  return {
+    version: RECORDS_VERSION,
+    runs: [],
+    stats: {
+      gamesPlayed: 0,
+      blocksDestroyed: 0,
+      ballsFired: 0,
+      bestTurn: 0,
+    },
+  };
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isValidRun(run) {
+  return (
+    run &&
+    isCount(run.score) &&
+    isCount(run.turns) &&
+    isCount(run.balls) &&
+    isCount(run.seed) &&
+    typeof run.mode === "string" &&
+    typeof run.rules === "string" &&
+    typeof run.date === "string"
+  );
+}
+
+// Brings stored data up to the current schema. Each future version bump adds a
+// step here; anything unrecognised starts over rather than breaking the game.
+function migrateRecords(data) {
+  if (data && data.version === 1 && Array.isArray(data.runs)) {
+    data = { ...data, version: 2, runs: data.runs.map((run) => ({ ...run, rules: LEGACY_RULESET })) };
+  }
+  if (!data || typeof data !== "object" || data.version !== RECORDS_VERSION) {
+    return createEmptyRecords();
+  }
+
+  const records = createEmptyRecords();
+  records.runs = Array.isArray(data.runs) ? data.runs.filter(isValidRun) : [];
+  records.runs.sort((a, b) => b.score - a.score);
+  for (const key of Object.keys(records.stats)) {
+    if (data.stats && isCount(data.stats[key])) {
+      records.stats[key] = data.stats[key];
+    }
+  }
+  return records;
+}
+
+class RecordBook {
+  constructor(storage) {
+    this.storage = storage;
+    this.data = this.load();
+  }
+
+  load() {
+    if (!this.storage) return createEmptyRecords();
+    try {
+      const raw = this.storage.getItem(RECORDS_KEY);
+      return raw ? migrateRecords(JSON.parse(raw)) : createEmptyRecords();
+    } catch (e) {
+      console.warn("Could not read saved records");
+      return createEmptyRecords();
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(RECORDS_KEY, JSON.stringify(this.data));
+    } catch (e) {
+      console.warn("Could not save records");
+    }
+  }
+
+  get stats() {
+    return this.data.stats;
+  }
+
+  // Best runs for a mode and ruleset, highest score first. Ties go to the
+  // earlier run. Each mode and ruleset pair has its own leaderboard.
+  topRuns(mode, rules) {
+    return this.data.runs.filter((run) => run.mode === mode && run.rules === rules);
+  }
+
+  bestScore(mode, rules) {
+    const [best] = this.topRuns(mode, rules);
+    return best ? best.score : 0;
+  }
+
+  // Adds a finished run and returns its leaderboard rank (0-based), or -1 if
+  // it did not make the top runs for its leaderboard.
+  recordRun({ score, turns, balls, seed, mode, rules, blocksDestroyed, ballsFired }, date = new Date()) {
+    const stats = this.data.stats;
+    stats.gamesPlayed++;
+    stats.blocksDestroyed += blocksDestroyed;
+    stats.ballsFired += ballsFired;
+    stats.bestTurn = Math.max(stats.bestTurn, turns);
+
+    const run = { score, turns, balls, seed, mode, rules, date: date.toISOString() };
+    const boardRuns = this.topRuns(mode, rules);
+    let rank = boardRuns.findIndex((other) => score > other.score);
+    if (rank === -1) rank = boardRuns.length;
+
+    if (rank < LEADERBOARD_SIZE) {
+      boardRuns.splice(rank, 0, run);
+      const otherRuns = this.data.runs.filter((other) => other.mode !== mode || other.rules !== rules);
+      this.data.runs = otherRuns.concat(boardRuns.slice(0, LEADERBOARD_SIZE));
+    } else {
+      rank = -1;
+    }
+
+    this.save();
+    return rank;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RECORDS_KEY,
+    RECORDS_VERSION,
+    LEADERBOARD_SIZE,
+    migrateRecords,
+    RecordBook,
+  };
+}
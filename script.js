@@ -1,19 +1,3 @@
-class RNG {
-  constructor(seed = Date.now() & 0xffffffff) {
-    this.state = seed >>> 0;
-  }
-
-  next() {
-    // xorshift32
-    let x = this.state;
-    x ^= x << 13;
-    x ^= x >>> 17;
-    x ^= x << 5;
-    this.state = x >>> 0;
-    return this.state / 0xffffffff;
-  }
-}
-
 const canvas = document.getElementById("gameCanvas");
 if (!canvas) {
   throw new Error("Canvas element not found");
@@ -29,232 +13,480 @@ const aimHint = document.getElementById("aimHint");
 const gameOverOverlay = document.getElementById("gameOverOverlay");
 const finalScoreValue = document.getElementById("finalScoreValue");
 const overlayRestartBtn = document.getElementById("overlayRestartBtn");
+const modeSelect = document.getElementById("modeSelect");
+const rulesSelect = document.getElementById("rulesSelect");
+const rulesEditor = document.getElementById("rulesEditor");
+const rulesForm = document.getElementById("rulesForm");
+const seedValue = document.getElementById("seedValue");
+const seedForm = document.getElementById("seedForm");
+const seedInput = document.getElementById("seedInput");
+const dailyBtn = document.getElementById("dailyBtn");
+const watchReplayBtn = document.getElementById("watchReplayBtn");
+const copyReplayBtn = document.getElementById("copyReplayBtn");
+const replayBar = document.getElementById("replayBar");
+const replayPlayBtn = document.getElementById("replayPlayBtn");
+const replaySeek = document.getElementById("replaySeek");
+const replaySpeed = document.getElementById("replaySpeed");
+const replayTime = document.getElementById("replayTime");
+const replayExitBtn = document.getElementById("replayExitBtn");
+const aimAssistSelect = document.getElementById("aimAssistSelect");
+const autoplaySelect = document.getElementById("autoplaySelect");
+const reducedMotionToggle = document.getElementById("reducedMotionToggle");
+const themeSelect = document.getElementById("themeSelect");
+const soundToggle = document.getElementById("soundToggle");
+const volumeSlider = document.getElementById("volumeSlider");
+const themeColorMeta = document.querySelector('meta[name="theme-color"]');
+const announcer = document.getElementById("announcer");
+const volleyControls = document.getElementById("volleyControls");
+const turnSummary = document.getElementById("turnSummary");
+const fastForwardBtn = document.getElementById("fastForwardBtn");
+const recallBtn = document.getElementById("recallBtn");
+const resumeOverlay = document.getElementById("resumeOverlay");
+const resumeTurnValue = document.getElementById("resumeTurnValue");
+const resumeScoreValue = document.getElementById("resumeScoreValue");
+const continueBtn = document.getElementById("continueBtn");
+const newGameBtn = document.getElementById("newGameBtn");
+const bestScoreValue = document.getElementById("bestScoreValue");
+const overlayBestValue = document.getElementById("overlayBestValue");
+const newBestBadge = document.getElementById("newBestBadge");
+const statsBtn = document.getElementById("statsBtn");
+const statsDialog = document.getElementById("statsDialog");
+const leaderboardTitle = document.getElementById("leaderboardTitle");
+const leaderboardBody = document.getElementById("leaderboardBody");
+const leaderboardEmpty = document.getElementById("leaderboardEmpty");
+const campaignBtn = document.getElementById("campaignBtn");
+const campaignDialog = document.getElementById("campaignDialog");
+const campaignTitle = document.getElementById("campaignTitle");
+const campaignStatus = document.getElementById("campaignStatus");
+const campaignList = document.getElementById("campaignList");
+const levelInfo = document.getElementById("levelInfo");
+const levelStars = document.getElementById("levelStars");
+const gameOverEmoji = document.getElementById("gameOverEmoji");
+const gameOverTitle = document.getElementById("gameOverTitle");
+const overlayBest = document.getElementById("overlayBest");
+const nextLevelBtn = document.getElementById("nextLevelBtn");
+const backToEditorBtn = document.getElementById("backToEditorBtn");
+const editorBtn = document.getElementById("editorBtn");
+const editorForm = document.getElementById("editorForm");
+const editorStatus = document.getElementById("editorStatus");
+const shopBtn = document.getElementById("shopBtn");
+const shopDialog = document.getElementById("shopDialog");
+const shopCoins = document.getElementById("shopCoins");
+const shopSections = document.getElementById("shopSections");
+const gameShell = document.getElementById("gameShell");
+const versusBtn = document.getElementById("versusBtn");
+const versusDialog = document.getElementById("versusDialog");
+const versusTitle = document.getElementById("versusTitle");
+const versusTable = document.getElementById("versusTable");
+const versusBody = document.getElementById("versusBody");
+const versusStyles = document.getElementById("versusStyles");
+const versusBar = document.getElementById("versusBar");
+const versusStatus = document.getElementById("versusStatus");
+const leaveVersusBtn = document.getElementById("leaveVersusBtn");
+const playerLabel = document.getElementById("playerLabel");
+const versusBoard = document.getElementById("versusBoard");
+const versusCanvas = document.getElementById("versusCanvas");
+const versusAimHint = document.getElementById("versusAimHint");
+const versusTurnSummary = document.getElementById("versusTurnSummary");
+const raceBtn = document.getElementById("raceBtn");
+const raceDialog = document.getElementById("raceDialog");
+const raceForm = document.getElementById("raceForm");
+const raceDialogStatus = document.getElementById("raceDialogStatus");
+const raceBar = document.getElementById("raceBar");
+const raceStatus = document.getElementById("raceStatus");
+const leaveRaceBtn = document.getElementById("leaveRaceBtn");
+const updateBar = document.getElementById("updateBar");
+const updateReloadBtn = document.getElementById("updateReloadBtn");
+const updateDismissBtn = document.getElementById("updateDismissBtn");
+const statFields = {
+  gamesPlayed: document.getElementById("statGamesPlayed"),
+  blocksDestroyed: document.getElementById("statBlocksDestroyed"),
+  ballsFired: document.getElementById("statBallsFired"),
+  bestTurn: document.getElementById("statBestTurn"),
+};
 
-if (!scoreValue || !ballCountValue || !restartBtn || !aimHint || !gameOverOverlay || !finalScoreValue || !overlayRestartBtn) {
+if (!scoreValue || !ballCountValue || !restartBtn || !aimHint || !gameOverOverlay || !finalScoreValue || !overlayRestartBtn || !modeSelect || !seedValue || !seedForm || !seedInput || !dailyBtn) {
   console.error("Required DOM elements not found");
 }
 
-const GAME_WIDTH = canvas.width;
-const GAME_HEIGHT = canvas.height;
-const GRID_COLUMNS = 7;
-const GRID_SIZE = GAME_WIDTH / GRID_COLUMNS;
-const BALL_RADIUS = 7;
-const BALL_SPEED = 620;
-const MAX_FLOATING_BLOCKS = 24;
-
-const COLORS = {
-  background: "#090d15",
-  barrel: "#fefefe",
-  aim: "rgba(255, 255, 255, 0.25)",
-  aimStrong: "rgba(255, 255, 255, 0.45)",
-  text: "#f5f7fb",
-  blockBorder: "rgba(255,255,255,0.25)",
-};
+if (!watchReplayBtn || !copyReplayBtn || !replayBar || !replayPlayBtn || !replaySeek || !replaySpeed || !replayTime || !replayExitBtn) {
+  console.error("Replay controls not found");
+}
+
+if (!aimAssistSelect || !autoplaySelect || !reducedMotionToggle || !themeSelect || !soundToggle || !volumeSlider) {
+  console.error("Settings controls not found");
+}
+
+if (!rulesSelect || !rulesEditor || !rulesForm) {
+  console.error("Ruleset controls not found");
+}
+
+if (!campaignBtn || !campaignDialog || !campaignTitle || !campaignStatus || !campaignList || !levelInfo || !levelStars || !gameOverEmoji || !gameOverTitle || !overlayBest || !nextLevelBtn || !backToEditorBtn) {
+  console.error("Campaign elements not found");
+}
+
+if (!shopBtn || !shopDialog || !shopCoins || !shopSections) {
+  console.error("Shop elements not found");
+}
+
+if (!gameShell || !versusBtn || !versusDialog || !versusTable || !versusBody || !versusBar || !versusStatus || !versusBoard || !versusCanvas) {
+  console.error("Versus elements not found");
+}
+
+if (!raceBtn || !raceDialog || !raceForm || !raceDialogStatus || !raceBar || !raceStatus || !leaveRaceBtn) {
+  console.error("Race elements not found");
+}
+
+if (!updateBar || !updateReloadBtn || !updateDismissBtn) {
+  console.error("Update prompt elements not found");
+}
+
+if (!editorBtn || !editorForm || !editorStatus) {
+  console.error("Level editor not found");
+}
+
+if (!announcer) {
+  console.error("Live region not found");
+}
+
+if (!volleyControls || !fastForwardBtn || !recallBtn || !turnSummary) {
+  console.error("Volley controls not found");
+}
+
+if (!resumeOverlay || !resumeTurnValue || !resumeScoreValue || !continueBtn || !newGameBtn) {
+  console.error("Resume prompt not found");
+}
+
+if (!bestScoreValue || !overlayBestValue || !newBestBadge || !statsBtn || !statsDialog || !leaderboardTitle || !leaderboardBody || !leaderboardEmpty || Object.values(statFields).some((field) => !field)) {
+  console.error("Stats elements not found");
+}
 
-const BLOCK_COLORS = [
-  "#00c6ff",
-  "#3a7bd5",
-  "#f8367c",
-  "#fbb03b",
-  "#3bc6b6",
-  "#b621fe",
-  "#fe8c00",
-  "#fe5f75",
+const SETTINGS_KEY = "ballz.settings";
+const AIM_ASSIST_BOUNCES = { off: 0, first: 1, full: 2 };
+const DEFAULT_SETTINGS = {
+  aimAssist: "full",
+  autoplay: "off",
+  theme: DEFAULT_THEME,
+  muted: false,
+  volume: 0.7,
+  reducedMotion: Boolean(window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches),
+  customRules: { ...RULESETS[DEFAULT_RULESET] },
+};
+const RULESET_LABELS = { easy: "Easy", normal: "Normal", hard: "Hard", custom: "Custom" };
+
+// Aim steps in radians: arrow keys and the d-pad use the fine step, Shift the coarse one.
+const AIM_STEP_FINE = Math.PI / 180;
+const AIM_STEP_COARSE = Math.PI / 36;
+const GAMEPAD_DEADZONE = 0.35;
+// Seconds the autoplayer shows its aim before firing.
+const AUTOPLAY_DELAY = 0.6;
+const GAMEPAD_BUTTONS = { fire: 0, restart: 9, left: 14, right: 15 };
+const EXPLOSION_PARTICLES = { full: 28, reduced: 6 };
+const SHOP_SLOT_LABELS = { skin: "Ball skins", trail: "Trails", launcher: "Launchers" };
+const LAUNCHER_ICONS = { dot: "●", ring: "◎", crosshair: "⊕", cannon: "⏶" };
+const VERSUS_STATS = [
+  ["Score", "score"],
+  ["Turns", "turns"],
+  ["Balls", "balls"],
+  ["Blocks destroyed", "blocksDestroyed"],
+  ["Garbage sent", "garbageSent"],
 ];
+const RACE_STATUS_MARKS = { verified: " ✓", rejected: " ✗", checking: " …", left: " (left)", playing: "" };
+const RAINBOW_SWATCH = "linear-gradient(90deg, #ff4d6d, #ffd93d, #7cf29c, #4dabf7, #b621fe)";
+
+function loadSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (e) {
+    console.warn("Could not read saved settings");
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+const FAST_FORWARD_SPEEDS = [1, 2, 4];
+const MAX_SCORE_POPUPS = 40;
+const TURN_SUMMARY_MS = 2600;
+const SAVE_KEY = "ballz.save";
+const SEED_SOURCES = ["random", "custom", "daily"];
+
+// The in-progress run, written after every turn. Anything unreadable is
+// discarded so the page always falls back to a new game.
+function loadSavedRun() {
+  try {
+    const raw = localStorage.getItem(SAVE_KEY);
+    if (!raw) return null;
+    const { seedSource, bot, run } = JSON.parse(raw);
+    return {
+      seedSource: SEED_SOURCES.includes(seedSource) ? seedSource : "custom",
+      sim: Simulation.deserialize(run),
+      bot: bot === true,
+    };
+  } catch (e) {
+    console.warn(`Discarding saved run: ${e.message}`);
+    clearSavedRun();
+    return null;
+  }
+}
+
+// `bot` marks a run the autoplay bot played, which stays the bot's on resume.
+function saveRun(seedSource, sim, bot) {
+  try {
+    localStorage.setItem(SAVE_KEY, JSON.stringify({ seedSource, bot, run: sim.serialize() }));
+  } catch (e) {
+    console.warn("Could not save the current run");
+  }
+}
+
+function clearSavedRun() {
+  try {
+    localStorage.removeItem(SAVE_KEY);
+  } catch (e) {
+    console.warn("Could not clear the saved run");
+  }
+}
+
+// Accessing localStorage can itself throw when storage is disabled.
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    console.warn("Local storage is not available");
+    return null;
+  }
+}
+
+function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Could not save settings");
+  }
+}
+
+function formatStars(stars) {
+  return "★".repeat(stars) + "☆".repeat(MAX_STARS - stars);
+}
+
+// Strength tiers step every 3 points; each theme has one block color per tier.
+function strengthTier(strength, tierCount) {
+  return Math.min(tierCount - 1, Math.floor((strength - 1) / 3));
+}
 
-const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+// Builds the current path for an obstacle outline matching its collider.
+function traceShape(shape, rect, cornerRadius) {
+  const { x, y, w, h } = rect;
+  ctx.beginPath();
+  if (shape === "circle") {
+    ctx.arc(x + w / 2, y + h / 2, Math.min(w, h) / 2, 0, Math.PI * 2);
+  } else if (shape.startsWith("triangle")) {
+    const vertices = triangleVertices(shape, rect);
+    const last = vertices[vertices.length - 1];
+    ctx.moveTo((last.x + vertices[0].x) / 2, (last.y + vertices[0].y) / 2);
+    vertices.forEach((vertex, i) => {
+      const next = vertices[(i + 1) % vertices.length];
+      ctx.arcTo(vertex.x, vertex.y, next.x, next.y, cornerRadius);
+    });
+    ctx.closePath();
+  } else {
+    ctx.roundRect(x, y, w, h, cornerRadius);
+  }
+}
+
+// Where the strength number sits: triangles use their centroid so it stays inside.
+function shapeLabelPosition(shape, rect) {
+  if (shape.startsWith("triangle")) {
+    const vertices = triangleVertices(shape, rect);
+    return {
+      x: vertices.reduce((sum, v) => sum + v.x, 0) / 3,
+      y: vertices.reduce((sum, v) => sum + v.y, 0) / 3,
+    };
+  }
+  return { x: rect.x + rect.w / 2, y: rect.y + rect.h / 2 };
+}
 
-function randomChoice(arr, rng) {
-  return arr[Math.floor(rng.next() * arr.length)];
+function formatTicks(ticks) {
+  const seconds = Math.floor(ticks * FIXED_STEP);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
 }
 
+// Cosmetic randomness (particles, pitch jitter) uses its own stream derived
+// from the run seed, so frame timing never shifts the gameplay RNG.
+const FX_SEED_SALT = 0x5bd1e995;
+
+// Per-cue voice caps and minimum spacing (seconds). A dense volley would
+// otherwise start hundreds of overlapping oscillators.
+const SOUND_LIMITS = {
+  hit: { voices: 6, interval: 0.025 },
+  wall: { voices: 4, interval: 0.04 },
+  destroy: { voices: 4, interval: 0.05 },
+  launch: { voices: 2, interval: 0.08 },
+  pickup: { voices: 4, interval: 0.05 },
+  turnEnd: { voices: 2, interval: 0.3 },
+  gameOver: { voices: 3, interval: 1 },
+};
+// Hits climb a semitone per hit in the same volley, up to two octaves.
+const COMBO_PITCH_STEPS = 24;
+
 class SoundManager {
   constructor() {
     this.audioContext = null;
+    this.master = null;
     this.enabled = true;
+    this.muted = false;
+    this.volume = DEFAULT_SETTINGS.volume;
+    this.voices = new Map();
+    this.lastPlayed = new Map();
+    this.rng = new RNG();
     this.initAudioContext();
   }
 
+  reseed(seed) {
+    this.rng = new RNG(seed ^ FX_SEED_SALT);
+  }
+
   initAudioContext() {
     try {
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
     } catch (e) {
       console.warn("Web Audio API not supported");
       this.enabled = false;
+      return;
     }
+
+    // Every voice goes through one master gain and a compressor, so volume and
+    // mute are a single control and stacked hits don't clip.
+    const compressor = this.audioContext.createDynamicsCompressor();
+    compressor.threshold.value = -18;
+    compressor.knee.value = 12;
+    compressor.ratio.value = 6;
+    this.master = this.audioContext.createGain();
+    this.master.connect(compressor);
+    compressor.connect(this.audioContext.destination);
+    this.updateMasterGain();
+  }
+
+  setVolume(volume) {
+    this.volume = clamp(volume, 0, 1);
+    this.updateMasterGain();
   }
 
-  playTone(frequency, duration, type = "sine", volume = 0.3) {
-    if (!this.enabled || !this.audioContext) return;
+  setMuted(muted) {
+    this.muted = muted;
+    this.updateMasterGain();
+  }
+
+  updateMasterGain() {
+    if (!this.master) return;
+    const level = this.muted ? 0 : this.volume;
+    this.master.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.015);
+  }
+
+  // Reserves a cue of the given kind, or returns false when it is muted, at its
+  // voice cap, or was played too recently.
+  claim(kind) {
+    if (!this.enabled || !this.audioContext || this.muted || this.volume === 0) return false;
 
     // Resume audio context if suspended (browser autoplay policy)
     if (this.audioContext.state === "suspended") {
       this.audioContext.resume();
     }
 
+    const limit = SOUND_LIMITS[kind];
+    const now = this.audioContext.currentTime;
+    if ((this.voices.get(kind) || 0) >= limit.voices) return false;
+    if (now - (this.lastPlayed.get(kind) ?? -Infinity) < limit.interval) return false;
+    this.lastPlayed.set(kind, now);
+    return true;
+  }
+
+  // Tones are scheduled on the audio clock, so multi-note cues stay in time
+  // even when the main thread is busy.
+  playTone(kind, frequency, duration, { type = "sine", volume = 0.3, delay = 0, slideTo = null } = {}) {
+    const start = this.audioContext.currentTime + delay;
     const oscillator = this.audioContext.createOscillator();
     const gainNode = this.audioContext.createGain();
 
     oscillator.connect(gainNode);
-    gainNode.connect(this.audioContext.destination);
+    gainNode.connect(this.master);
 
-    oscillator.frequency.value = frequency;
     oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    if (slideTo) {
+      oscillator.frequency.exponentialRampToValueAtTime(slideTo, start + duration);
+    }
+
+    gainNode.gain.setValueAtTime(volume, start);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, start + duration);
 
-    gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration);
+    this.voices.set(kind, (this.voices.get(kind) || 0) + 1);
+    oscillator.onended = () => {
+      this.voices.set(kind, this.voices.get(kind) - 1);
+      gainNode.disconnect();
+    };
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+  }
 
-    oscillator.start(this.audioContext.currentTime);
-    oscillator.stop(this.audioContext.currentTime + duration);
+  comboPitch(combo) {
+    return 2 ** (Math.min(combo, COMBO_PITCH_STEPS) / 12);
   }
 
-  playHitSound() {
+  playHitSound(combo = 0) {
+    if (!this.claim("hit")) return;
     // Short, sharp sound for hitting blocks
-    const baseFreq = 200 + Math.random() * 100;
-    this.playTone(baseFreq, 0.1, "square", 0.2);
+    const baseFreq = (200 + this.rng.next() * 100) * this.comboPitch(combo);
+    this.playTone("hit", baseFreq, 0.1, { type: "square", volume: 0.2 });
   }
 
   playWallBounceSound() {
+    if (!this.claim("wall")) return;
     // Lower pitch for wall bounces
-    const baseFreq = 150 + Math.random() * 50;
-    this.playTone(baseFreq, 0.08, "sine", 0.15);
-  }
-
-  playDestroySound() {
-    // Higher pitch for destroying blocks
-    const baseFreq = 300 + Math.random() * 150;
-    this.playTone(baseFreq, 0.15, "sawtooth", 0.25);
-    // Add a second tone for more impact
-    setTimeout(() => {
-      if (this.enabled && this.audioContext) {
-        this.playTone(baseFreq * 1.5, 0.1, "square", 0.2);
-      }
-    }, 50);
-  }
-}
-
-const soundManager = new SoundManager();
-
-class Block {
-  constructor(col, row, strength, type = "block") {
-    this.col = col;
-    this.row = row;
-    this.strength = strength;
-    this.type = type;
-    this.destroyed = false;
-  }
-
-  get x() {
-    return this.col * GRID_SIZE + 6;
+    const baseFreq = 150 + this.rng.next() * 50;
+    this.playTone("wall", baseFreq, 0.08, { volume: 0.15 });
   }
 
-  get y() {
-    return this.row * GRID_SIZE + 6;
+  playDestroySound(combo = 0) {
+    if (!this.claim("destroy")) return;
+    // Higher pitch for destroying blocks, with a second tone for more impact
+    const baseFreq = (300 + this.rng.next() * 150) * this.comboPitch(combo);
+    this.playTone("destroy", baseFreq, 0.15, { type: "sawtooth", volume: 0.25 });
+    this.playTone("destroy", baseFreq * 1.5, 0.1, { type: "square", volume: 0.2, delay: 0.05 });
   }
 
-  get size() {
-    return GRID_SIZE - 12;
+  playLaunchSound() {
+    if (!this.claim("launch")) return;
+    this.playTone("launch", 260, 0.12, { type: "triangle", volume: 0.15, slideTo: 520 });
   }
 
-  get rect() {
-    return { x: this.x, y: this.y, w: this.size, h: this.size };
+  playPickupSound() {
+    if (!this.claim("pickup")) return;
+    this.playTone("pickup", 660, 0.08, { type: "triangle", volume: 0.2 });
+    this.playTone("pickup", 880, 0.12, { type: "triangle", volume: 0.2, delay: 0.06 });
   }
 
-  updateRow(newRow) {
-    this.row = newRow;
+  playTurnEndSound() {
+    if (!this.claim("turnEnd")) return;
+    this.playTone("turnEnd", 392, 0.25, { volume: 0.12 });
+    this.playTone("turnEnd", 523.25, 0.3, { volume: 0.12, delay: 0.08 });
   }
 
-  draw(ctx) {
-    const { x, y, size } = this.rect;
-    if (this.type === "block") {
-      const colorIndex = Math.min(BLOCK_COLORS.length - 1, Math.floor((this.strength - 1) / 3));
-      ctx.fillStyle = BLOCK_COLORS[colorIndex];
-      ctx.beginPath();
-      ctx.roundRect(x, y, size, size, 10);
-      ctx.fill();
-
-      ctx.strokeStyle = COLORS.blockBorder;
-      ctx.lineWidth = 2;
-      ctx.stroke();
-
-      ctx.fillStyle = COLORS.text;
-      ctx.font = "700 20px 'Segoe UI', sans-serif";
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillText(this.strength, x + size / 2, y + size / 2);
-    } else if (this.type === "pickup") {
-      ctx.fillStyle = "#ffd93d";
-      ctx.beginPath();
-      ctx.roundRect(x, y, size, size, 12);
-      ctx.fill();
-
-      ctx.fillStyle = "#1e1f2b";
-      ctx.font = "700 18px 'Segoe UI', sans-serif";
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillText("+1", x + size / 2, y + size / 2);
-    }
+  playGameOverSound() {
+    if (!this.claim("gameOver")) return;
+    this.playTone("gameOver", 392, 0.3, { type: "triangle", volume: 0.25 });
+    this.playTone("gameOver", 329.63, 0.3, { type: "triangle", volume: 0.25, delay: 0.18 });
+    this.playTone("gameOver", 261.63, 0.6, { type: "triangle", volume: 0.25, delay: 0.36 });
   }
 }
 
-class Ball {
-  constructor(x, y, angle) {
-    this.x = x;
-    this.y = y;
-    this.vx = Math.cos(angle) * BALL_SPEED;
-    this.vy = Math.sin(angle) * BALL_SPEED;
-    this.resting = false;
-    this.prevX = x;
-    this.prevY = y;
-  }
-
-  update(delta) {
-    if (this.resting) return;
-
-    this.prevX = this.x;
-    this.prevY = this.y;
-    this.x += this.vx * delta;
-    this.y += this.vy * delta;
-
-    if (this.x - BALL_RADIUS <= 0 && this.vx < 0) {
-      this.x = BALL_RADIUS;
-      this.vx *= -1;
-      soundManager.playWallBounceSound();
-    } else if (this.x + BALL_RADIUS >= GAME_WIDTH && this.vx > 0) {
-      this.x = GAME_WIDTH - BALL_RADIUS;
-      this.vx *= -1;
-      soundManager.playWallBounceSound();
-    }
-
-    if (this.y - BALL_RADIUS <= 0 && this.vy < 0) {
-      this.y = BALL_RADIUS;
-      this.vy *= -1;
-      soundManager.playWallBounceSound();
-    }
-  }
-
-  setResting(baseY) {
-    this.y = baseY - BALL_RADIUS;
-    this.vx = 0;
-    this.vy = 0;
-    this.resting = true;
-  }
-
-  draw(ctx) {
-    ctx.fillStyle = "#ffffff";
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, BALL_RADIUS, 0, Math.PI * 2);
-    ctx.fill();
-  }
-}
+const soundManager = new SoundManager();
 
 class Particle {
-  constructor(x, y, color, options = {}) {
+  constructor(x, y, color, rng, options = {}) {
     this.x = x;
     this.y = y;
     const speed = options.speed ?? 120;
-    const angle = Math.random() * Math.PI * 2;
-    const magnitude = Math.random() * speed;
+    const angle = rng.next() * Math.PI * 2;
+    const magnitude = rng.next() * speed;
     this.vx = Math.cos(angle) * magnitude;
     this.vy = Math.sin(angle) * magnitude;
     this.life = options.life ?? 0.4;
@@ -278,355 +510,2061 @@ class Particle {
   }
 }
 
-class BarrierBlock {
-  constructor(x, y, size, strength) {
+// Floating "+points" text at the spot where they were earned.
+class ScorePopup {
+  constructor(x, y, text, { color, size = 14, rise = 40, life = 0.8 } = {}) {
     this.x = x;
     this.y = y;
+    this.text = text;
+    this.color = color;
     this.size = size;
-    this.strength = strength;
-    this.destroyed = false;
+    this.rise = rise;
+    this.life = life;
+    this.initialLife = life;
   }
 
-  get rect() {
-    return {
-      x: this.x - this.size / 2,
-      y: this.y - this.size / 2,
-      w: this.size,
-      h: this.size,
-    };
+  update(delta) {
+    this.life -= delta;
+    this.y -= (this.rise / this.initialLife) * delta;
   }
 
   draw(ctx) {
-    const { x, y, w, h } = this.rect;
-    const colorIndex = Math.min(BLOCK_COLORS.length - 1, Math.floor((this.strength - 1) / 3));
-    ctx.fillStyle = BLOCK_COLORS[colorIndex];
-    ctx.beginPath();
-    ctx.roundRect(x, y, w, h, 14);
-    ctx.fill();
-
-    ctx.strokeStyle = "rgba(255,255,255,0.35)";
-    ctx.lineWidth = 2;
-    ctx.stroke();
-
-    ctx.fillStyle = COLORS.text;
-    ctx.font = "800 20px 'Segoe UI', sans-serif";
+    if (this.life <= 0) return;
+    ctx.globalAlpha = clamp(this.life / this.initialLife, 0, 1);
+    ctx.fillStyle = this.color;
+    ctx.font = `800 ${this.size}px 'Segoe UI', sans-serif`;
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
-    ctx.fillText(this.strength, this.x, this.y);
+    ctx.fillText(this.text, this.x, this.y);
+    ctx.globalAlpha = 1;
   }
 }
 
+// The page's game owns one board (canvas, effects and aim) plus all of the
+// app UI. In split-screen versus it creates a second Game on the other canvas
+// for player 2, which only runs its board and borrows the host's settings.
 class Game {
-  constructor() {
-    this.rng = new RNG();
+  constructor(board = { canvas, aimHint, turnSummary }, host = null) {
+    this.canvas = board.canvas;
+    this.ctx = board.canvas.getContext("2d");
+    this.aimHint = board.aimHint;
+    this.turnSummary = board.turnSummary;
+    this.host = host;
+    this.match = null;
+    this.opponent = null;
+    if (host) {
+      this.replay = null;
+      this.fastForward = FAST_FORWARD_SPEEDS[0];
+      this.aimPointerId = null;
+      this.pixelScale = 1;
+      this.observeCanvasSize();
+      this.settings = host.settings;
+      this.colors = host.colors;
+      this.cosmetics = host.cosmetics;
+      this.trails = new WeakMap();
+      this.editing = false;
+      this.bindBoardEvents();
+      return;
+    }
+
+    this.mode = GAME_MODES.includes(modeSelect.value) ? modeSelect.value : GAME_MODES[0];
+    this.rules = { ...RULESETS[DEFAULT_RULESET] };
+    // "random" rolls a new seed on every restart; "custom" and "daily" replay theirs.
+    this.seedSource = "random";
+    this.seed = randomSeed();
+    this.replay = null;
+    this.liveSim = null;
+    this.replayPaused = false;
+    this.replaySpeed = 1;
+    this.fastForward = FAST_FORWARD_SPEEDS[0];
+    this.aimPointerId = null;
+    this.pixelScale = 1;
+    this.observeCanvasSize();
+    this.settings = loadSettings();
+    this.records = new RecordBook(getStorage());
+    this.recordedSims = new WeakSet();
+    this.versusSims = new WeakSet();
+    // Runs the autoplayer took a shot in stay off the leaderboard.
+    this.botSims = new WeakSet();
+    this.bot = null;
+    this.autoplayTimer = null;
+    // The online race being played, and the run it is about.
+    this.race = null;
+    this.raceSim = null;
+    // A new build's service worker waiting for the player to reload.
+    this.waitingWorker = null;
+    this.updateAccepted = false;
+    this.frameId = null;
+    this.savedRun = null;
+    this.campaign = new CampaignProgress(getStorage());
+    this.cosmetics = new CosmeticsLocker(getStorage());
+    // Recent positions of each ball in flight, for drawing trails.
+    this.trails = new WeakMap();
+    this.levelPack = null;
+    // The hand-built level being played, if any, and where it came from.
+    this.level = null;
+    this.levelIndex = null;
+    this.levelFromEditor = false;
+    this.editor = null;
+    this.editing = false;
+    this.editPointerId = null;
+    this.applySettings();
+    this.readUrlParams();
     this.reset();
+    this.savedRun = loadSavedRun();
+    if (this.savedRun && this.savedRun.bot) {
+      this.botSims.add(this.savedRun.sim);
+    }
     this.bindEvents();
+    if (this.pendingReplay) {
+      this.startReplay(this.pendingReplay);
+      this.pendingReplay = null;
+    } else if (this.savedRun) {
+      this.showResumePrompt();
+    }
+    this.registerServiceWorker();
     this.loop(0);
   }
 
-  reset() {
-    this.blocks = [];
-    this.balls = [];
-    this.particles = [];
-    this.barrierBlocks = [];
-    gameOverOverlay.classList.add("hidden");
-    finalScoreValue.textContent = "0";
-    this.pendingBalls = 0;
-    this.ballChain = 1;
-    this.baseBallPosition = GAME_WIDTH / 2;
-    this.baseY = GAME_HEIGHT - 24;
-    this.turnAngle = null;
-    this.isAiming = false;
-    this.isLaunching = false;
-    this.turn = 1;
-    this.score = 0;
-    this.timeAccumulator = 0;
-    this.isGameOver = false;
-    this.seedFloatingBlocks();
-    this.updateHUD();
-    aimHint.classList.remove("hidden");
+  // Gameplay and drawing use logical GAME_WIDTH x GAME_HEIGHT coordinates. The
+  // backing store follows the displayed size times devicePixelRatio, and draw()
+  // scales logical units onto it, so resizing never changes the simulation.
+  resizeCanvas() {
+    const rect = this.canvas.getBoundingClientRect();
+    if (!rect.width) return;
+    const width = Math.round(rect.width * (window.devicePixelRatio || 1));
+    const height = Math.round((width * GAME_HEIGHT) / GAME_WIDTH);
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    this.pixelScale = width / GAME_WIDTH;
   }
 
-  bindEvents() {
-    const getCanvasPos = (event) => {
-      const rect = canvas.getBoundingClientRect();
-      const clientX = event.touches ? event.touches[0].clientX : event.clientX;
-      const clientY = event.touches ? event.touches[0].clientY : event.clientY;
-      return {
-        x: (clientX - rect.left) * (canvas.width / rect.width),
-        y: (clientY - rect.top) * (canvas.height / rect.height),
-      };
-    };
-
-    const startAim = (event) => {
-      if (this.isLaunching || this.isGameOver) return;
-      this.isAiming = true;
-      aimHint.classList.add("hidden");
-      const pos = getCanvasPos(event);
-      this.turnAngle = Math.atan2(pos.y - this.baseY, pos.x - this.baseBallPosition);
-      this.turnAngle = clamp(this.turnAngle, (-Math.PI + 0.35), -0.35);
-    };
+  observeCanvasSize() {
+    this.resizeCanvas();
+    if (window.ResizeObserver) {
+      new ResizeObserver(() => this.resizeCanvas()).observe(this.canvas);
+    } else {
+      window.addEventListener("resize", () => this.resizeCanvas());
+    }
+    this.watchPixelRatio();
+  }
 
-    const moveAim = (event) => {
-      if (!this.isAiming || this.isLaunching) return;
-      const pos = getCanvasPos(event);
-      this.turnAngle = Math.atan2(pos.y - this.baseY, pos.x - this.baseBallPosition);
-      this.turnAngle = clamp(this.turnAngle, (-Math.PI + 0.35), -0.35);
-    };
+  // Moving the window to a screen with another pixel ratio doesn't resize the
+  // element, so listen for the ratio itself changing.
+  watchPixelRatio() {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener(
+      "change",
+      () => {
+        this.resizeCanvas();
+        this.watchPixelRatio();
+      },
+      { once: true },
+    );
+  }
 
-    const endAim = () => {
-      if (!this.isAiming || this.isLaunching) return;
-      this.isAiming = false;
-      if (this.turnAngle === null) return;
-      this.launchTurn(this.turnAngle);
-    };
+  readUrlParams() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("replay")) {
+      try {
+        this.pendingReplay = decodeReplay(params.get("replay"));
+      } catch (e) {
+        console.warn(`Ignoring replay link: ${e.message}`);
+      }
+    }
 
-    canvas.addEventListener("mousedown", startAim);
-    canvas.addEventListener("mousemove", moveAim);
-    canvas.addEventListener("mouseup", endAim);
-    canvas.addEventListener("mouseleave", endAim);
+    const mode = params.get("mode");
+    if (GAME_MODES.includes(mode)) {
+      this.mode = mode;
+      modeSelect.value = mode;
+    }
 
-    canvas.addEventListener("touchstart", startAim, { passive: true });
-    canvas.addEventListener("touchmove", moveAim, { passive: true });
-    canvas.addEventListener("touchend", endAim);
+    const rules = parseRuleset(params.get("rules"));
+    if (rules) {
+      this.rules = rules;
+    }
 
-    restartBtn.addEventListener("click", () => this.reset());
-    overlayRestartBtn.addEventListener("click", () => this.reset());
-  }
+    if (params.has("daily")) {
+      this.seedSource = "daily";
+      this.mode = "classic";
+      modeSelect.value = this.mode;
+      this.rules = { ...RULESETS[DEFAULT_RULESET] };
+      return;
+    }
 
-  launchTurn(angle) {
-    this.isLaunching = true;
-    this.turnAngle = angle;
-    this.pendingBalls = this.ballChain;
-    this.launchTimer = 0;
-    this.restingBalls = [];
-    this.activeBallChainLanding = null;
+    const seed = parseSeed(params.get("seed"));
+    if (seed !== null) {
+      this.seedSource = "custom";
+      this.seed = seed;
+    }
   }
 
-  spawnRow() {
-    const minBlocks = Math.min(3, GRID_COLUMNS);
-    const maxBlocks = Math.max(3, Math.floor(GRID_COLUMNS * 0.85));
-    let blockCount = Math.floor(this.rng.next() * (maxBlocks - minBlocks + 1)) + minBlocks;
+  // Restarting during versus starts a rematch on the current mode, rules and
+  // seed source; anything that starts a level or the editor leaves versus.
+  reset() {
+    if (this.match && !this.level) {
+      this.startVersus(this.match.style);
+      return;
+    }
+    this.endCurrentRun();
+    if (this.level) {
+      this.startRun(new Simulation({ seed: hashString(this.level.name), level: this.level }));
+      return;
+    }
 
-    const taken = new Set();
-    while (blockCount > 0) {
-      const col = Math.floor(this.rng.next() * GRID_COLUMNS);
-      if (taken.has(col)) continue;
-      taken.add(col);
-      blockCount--;
+    this.rollSeed();
+    this.startRun(new Simulation({ seed: this.seed, mode: this.mode, rules: this.rules }));
+  }
 
-      const strength = Math.max(1, Math.round(this.turn * (0.5 + this.rng.next())));
-      this.blocks.push(new Block(col, 0, strength, "block"));
+  rollSeed() {
+    if (this.seedSource === "random") {
+      this.seed = randomSeed();
+    } else if (this.seedSource === "daily") {
+      this.seed = dailySeed();
     }
+  }
 
-    if (this.rng.next() > 0.65) {
-      const freeCols = [...Array(GRID_COLUMNS).keys()].filter((c) => !taken.has(c));
-      if (freeCols.length) {
-        const spawnCol = randomChoice(freeCols, this.rng);
-        this.blocks.push(new Block(spawnCol, 0, 1, "pickup"));
-      }
+  // Restarting mid-run still counts as a finished run once a shot was fired.
+  endCurrentRun() {
+    if (this.savedRun) {
+      this.discardSavedRun();
+    }
+    const previous = this.liveSim || this.sim;
+    if (previous && previous.inputs.length > 0) {
+      this.recordRun(previous);
+      clearSavedRun();
     }
   }
 
-  stepRowsDown() {
-    for (const block of this.blocks) {
-      block.updateRow(block.row + 1);
-      if (block.row * GRID_SIZE >= GAME_HEIGHT - GRID_SIZE) {
-        this.gameOver();
-        return true;
-      }
+  startRun(sim) {
+    if (this.match && !this.match.sims.includes(sim)) {
+      this.endVersus();
     }
-    return false;
+    if (this.race && sim !== this.raceSim) {
+      this.endRace();
+    }
+    this.editing = false;
+    editorForm.classList.add("hidden");
+    this.replay = null;
+    this.liveSim = null;
+    replayBar.classList.add("hidden");
+    resumeOverlay.classList.add("hidden");
+    volleyControls.classList.add("hidden");
+
+    const rulesKey = rulesetKey(sim.rules);
+    rulesSelect.value = rulesKey in RULESETS ? rulesKey : "custom";
+    soundManager.reseed(this.seed);
+    gameOverOverlay.classList.add("hidden");
+    finalScoreValue.textContent = "0";
+    newBestBadge.classList.add("hidden");
+    this.showSimulation(sim);
+    this.updateSeedDisplay();
+    // Keyboard play goes to the board, not whichever button started the run.
+    canvas.focus({ preventScroll: true });
   }
 
-  gameOver() {
-    this.isLaunching = false;
-    this.isAiming = false;
+  // Puts a fresh simulation on this board. startRun() wraps this with the page
+  // UI; the split-screen opponent calls it directly.
+  showSimulation(sim) {
+    this.sim = sim;
+    this.attachSimulation(sim);
+    this.fxRng = new RNG(sim.seed ^ FX_SEED_SALT);
+    this.clearEffects();
     this.turnAngle = null;
-    this.isGameOver = true;
-    this.showGameOverOverlay();
+    this.isAiming = false;
+    this.updateHUD();
+    this.aimHint.classList.remove("hidden");
   }
 
-  showGameOverBanner() {
-    ctx.save();
-    ctx.fillStyle = "rgba(9, 13, 21, 0.82)";
-    ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
-    ctx.fillStyle = "#ffffff";
-    ctx.font = "800 36px 'Segoe UI', sans-serif";
-    ctx.textAlign = "center";
-    ctx.fillText("Game Over", GAME_WIDTH / 2, GAME_HEIGHT / 2 - 20);
-    ctx.font = "400 20px 'Segoe UI', sans-serif";
-    ctx.fillText(`Score: ${this.score}`, GAME_WIDTH / 2, GAME_HEIGHT / 2 + 16);
-    ctx.fillText("Tap Restart to play again", GAME_WIDTH / 2, GAME_HEIGHT / 2 + 48);
-    ctx.restore();
+  showResumePrompt() {
+    resumeTurnValue.textContent = this.savedRun.sim.turn;
+    resumeScoreValue.textContent = this.savedRun.sim.score;
+    resumeOverlay.classList.remove("hidden");
+    this.aimHint.classList.add("hidden");
   }
 
-  updateHUD() {
-    scoreValue.textContent = this.score;
-    ballCountValue.textContent = this.ballChain;
+  resumeSavedRun() {
+    const { seedSource, sim } = this.savedRun;
+    this.savedRun = null;
+    this.seedSource = seedSource;
+    this.seed = sim.seed;
+    this.mode = sim.mode;
+    modeSelect.value = sim.mode;
+    this.rules = { ...sim.rules };
+    this.startRun(sim);
   }
 
-  update(delta) {
-    if (this.isGameOver) {
-      return;
-    }
+  // Declining to continue ends the saved run, so it still counts towards records.
+  discardSavedRun() {
+    this.recordRun(this.savedRun.sim);
+    this.savedRun = null;
+    clearSavedRun();
+    resumeOverlay.classList.add("hidden");
+    this.aimHint.classList.remove("hidden");
+  }
 
-    if (this.isLaunching) {
-      this.launchTimer -= delta;
-      if (this.pendingBalls > 0 && this.launchTimer <= 0) {
-        this.launchTimer = 0.1;
-        this.pendingBalls--;
-        const spawnPointX = this.activeBallChainLanding ?? this.baseBallPosition;
-        const ball = new Ball(spawnPointX, this.baseY - BALL_RADIUS, this.turnAngle);
-        this.balls.push(ball);
-        this.spawnFloatingBlock();
-      }
+  playSeed(input) {
+    this.level = null;
+    const seed = parseSeed(input);
+    if (seed === null) {
+      this.seedSource = "random";
+    } else {
+      this.seedSource = "custom";
+      this.seed = seed;
     }
+    this.reset();
+  }
 
-    for (const ball of this.balls) {
-      if (ball.resting) continue;
-      ball.update(delta);
-      this.handleCollisions(ball);
+  playDaily() {
+    this.level = null;
+    this.seedSource = "daily";
+    this.mode = "classic";
+    modeSelect.value = this.mode;
+    this.rules = { ...RULESETS[DEFAULT_RULESET] };
+    this.reset();
+  }
 
-      if (ball.y + BALL_RADIUS >= this.baseY && ball.vy > 0) {
-        ball.setResting(this.baseY);
-        this.restingBalls.push(ball);
-        if (this.activeBallChainLanding === null) {
-          this.activeBallChainLanding = ball.x;
-        }
-        soundManager.playWallBounceSound();
-      }
+  applySettings() {
+    if (!(this.settings.aimAssist in AIM_ASSIST_BOUNCES)) {
+      this.settings.aimAssist = DEFAULT_SETTINGS.aimAssist;
     }
-
-    this.particles = this.particles.filter((p) => p.life > 0);
-    for (const particle of this.particles) {
-      particle.update(delta);
+    aimAssistSelect.value = this.settings.aimAssist;
+    if (this.settings.autoplay !== "off" && !(this.settings.autoplay in BOTS)) {
+      this.settings.autoplay = DEFAULT_SETTINGS.autoplay;
+    }
+    autoplaySelect.value = this.settings.autoplay;
+    this.settings.reducedMotion = Boolean(this.settings.reducedMotion);
+    reducedMotionToggle.checked = this.settings.reducedMotion;
+    if (!(this.settings.theme in THEMES)) {
+      this.settings.theme = DEFAULT_THEME;
+    }
+    themeSelect.value = this.settings.theme;
+    this.applyTheme(THEMES[this.settings.theme]);
+    this.settings.muted = Boolean(this.settings.muted);
+    const volume = Number(this.settings.volume);
+    this.settings.volume = Number.isFinite(volume) ? clamp(volume, 0, 1) : DEFAULT_SETTINGS.volume;
+    soundToggle.checked = !this.settings.muted;
+    volumeSlider.value = String(this.settings.volume);
+    soundManager.setMuted(this.settings.muted);
+    soundManager.setVolume(this.settings.volume);
+    this.settings.customRules = normalizeRules(this.settings.customRules || {});
+    for (const [field, value] of Object.entries(this.settings.customRules)) {
+      rulesForm.elements[field].value = String(value);
     }
+  }
 
-    if (this.isLaunching && this.pendingBalls === 0 && this.balls.every((b) => b.resting)) {
-      this.finishTurn();
+  applyTheme(theme) {
+    this.colors = theme.canvas;
+    if (this.opponent) {
+      this.opponent.colors = theme.canvas;
+    }
+    const root = document.documentElement;
+    for (const [property, value] of Object.entries(theme.css)) {
+      root.style.setProperty(property, value);
     }
+    root.style.colorScheme = theme.colorScheme;
+    if (themeColorMeta) {
+      themeColorMeta.setAttribute("content", theme.css["--color-page"]);
+    }
+  }
+
+  // Screen reader updates go through one polite live region. Clearing it first
+  // makes a repeated message (same score two turns running) announce again.
+  announce(message) {
+    announcer.textContent = "";
+    setTimeout(() => {
+      announcer.textContent = message;
+    }, 100);
+  }
+
+  updateSetting(key, value) {
+    this.settings[key] = value;
+    this.applySettings();
+    saveSettings(this.settings);
   }
 
-  finishTurn() {
-    this.isLaunching = false;
+  startReplay(replay) {
+    if (!this.replay) {
+      this.liveSim = this.sim;
+    }
+    this.replay = new ReplayPlayer(replay);
+    this.sim = this.replay.sim;
+    this.attachSimulation(this.sim);
+    this.fxRng = new RNG(replay.seed ^ FX_SEED_SALT);
+    this.clearEffects();
     this.isAiming = false;
     this.turnAngle = null;
-    this.turn++;
-    this.balls = [];
-    this.baseBallPosition = this.activeBallChainLanding ?? this.baseBallPosition;
+    this.replayPaused = false;
+    gameOverOverlay.classList.add("hidden");
+    volleyControls.classList.add("hidden");
+    this.aimHint.classList.add("hidden");
+    replaySeek.max = String(replay.ticks);
+    replayBar.classList.remove("hidden");
     this.updateHUD();
+    this.updateReplayControls();
   }
 
-  handleCollisions(ball) {
-    for (const barrier of this.barrierBlocks) {
-      if (barrier.destroyed) continue;
+  exitReplay() {
+    if (!this.replay) return;
+    this.replay = null;
+    this.sim = this.liveSim;
+    this.liveSim = null;
+    this.clearEffects();
+    replayBar.classList.add("hidden");
+    this.updateHUD();
+    if (this.sim.isGameOver) {
+      this.showGameOverOverlay();
+    } else if (this.savedRun) {
+      this.showResumePrompt();
+    }
+  }
 
-      const rect = barrier.rect;
+  toggleReplayPlayback() {
+    if (!this.replay) return;
+    if (this.replayPaused && this.replay.finished) {
+      this.seekReplay(0);
+    }
+    this.replayPaused = !this.replayPaused;
+    this.updateReplayControls();
+  }
 
-      if (this.circleRectCollision(ball, rect)) {
-        const prevX = ball.prevX ?? ball.x;
-        const prevY = ball.prevY ?? ball.y;
-        const isHorizontal = prevY + BALL_RADIUS <= rect.y || prevY - BALL_RADIUS >= rect.y + rect.h;
+  seekReplay(tick) {
+    if (!this.replay) return;
+    this.replay.seek(tick);
+    this.clearEffects();
+    this.updateHUD();
+    this.updateReplayControls();
+  }
 
-        barrier.strength -= 1;
-        this.score += 8;
-        this.updateHUD();
-        this.spawnHitParticles(barrier.x, barrier.y, "#f5f7fb");
-
-        if (barrier.strength <= 0) {
-          barrier.destroyed = true;
-          this.spawnExplosion(barrier.x, barrier.y);
-          this.spawnFloatingBlock({ force: true });
-          soundManager.playDestroySound();
-        } else {
-          soundManager.playHitSound();
-        }
+  updateReplayControls() {
+    if (!this.replay) return;
+    replayPlayBtn.textContent = this.replayPaused ? "Play" : "Pause";
+    replaySeek.value = String(this.replay.tick);
+    replayTime.textContent = `${formatTicks(this.replay.tick)} / ${formatTicks(this.replay.length)}`;
+  }
 
-        if (isHorizontal) {
-          ball.vy *= -1;
-        } else {
-          ball.vx *= -1;
+  getReplayUrl() {
+    const url = new URL(window.location.href);
+    url.search = "";
+    url.searchParams.set("replay", encodeReplay((this.liveSim ?? this.sim).getReplay()));
+    return url.toString();
+  }
+
+  copyReplayLink() {
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(this.getReplayUrl()).then(
+      () => {
+        copyReplayBtn.textContent = "Copied!";
+        setTimeout(() => {
+          copyReplayBtn.textContent = "Copy replay link";
+        }, 1200);
+      },
+      () => console.warn("Could not copy replay link"),
+    );
+  }
+
+  getShareUrl() {
+    const url = new URL(window.location.href);
+    url.search = "";
+    if (this.seedSource === "daily") {
+      url.searchParams.set("daily", "1");
+    } else {
+      url.searchParams.set("seed", formatSeed(this.seed));
+      url.searchParams.set("mode", this.mode);
+      const rulesKey = rulesetKey(this.rules);
+      if (rulesKey !== DEFAULT_RULESET) {
+        url.searchParams.set("rules", rulesKey);
+      }
+    }
+    return url.toString();
+  }
+
+  updateSeedDisplay() {
+    if (this.editing || this.level) {
+      seedValue.textContent = this.editing ? "Editor" : this.level.name;
+      seedValue.title = "";
+      return;
+    }
+    const code = formatSeed(this.seed);
+    seedValue.textContent = this.seedSource === "daily" ? `Daily ${dailyKey()}` : code;
+    seedValue.title = `Seed ${code} — click to copy a share link`;
+    seedInput.value = this.seedSource === "random" ? "" : code;
+    // Keep the address bar shareable without adding history entries.
+    if (this.seedSource !== "random") {
+      window.history.replaceState(null, "", this.getShareUrl());
+    }
+  }
+
+  copyShareLink() {
+    if (this.editing || this.level || !navigator.clipboard) return;
+    const url = this.getShareUrl();
+    navigator.clipboard.writeText(url).then(
+      () => {
+        seedValue.textContent = "Link copied";
+        setTimeout(() => this.updateSeedDisplay(), 1200);
+      },
+      () => console.warn("Could not copy share link"),
+    );
+  }
+
+  attachSimulation(sim) {
+    sim.on("wallBounce", () => soundManager.playWallBounceSound());
+    sim.on("land", () => soundManager.playWallBounceSound());
+    sim.on("hit", ({ x, y, combo }) => {
+      this.spawnHitParticles(x, y, this.colors.spark);
+      soundManager.playHitSound(combo - 1);
+      this.updateHUD();
+    });
+    sim.on("destroy", ({ x, y, combo }) => {
+      this.spawnHitParticles(x, y, this.colors.spark);
+      this.spawnExplosion(x, y);
+      soundManager.playDestroySound(combo - 1);
+      this.updateHUD();
+    });
+    sim.on("pickup", ({ x, y }) => {
+      this.spawnHitParticles(x, y, this.colors.pickup);
+      soundManager.playPickupSound();
+      this.updateHUD();
+    });
+    sim.on("coin", ({ x, y }) => {
+      this.spawnHitParticles(x, y, this.colors.powerUps.coin);
+      soundManager.playPickupSound();
+      // Coins go to the shop wallet as they are collected. Replays,
+      // hand-built levels, versus player 2 and bot-played runs don't pay out.
+      const opponentSim = Boolean(this.match) && this.match.sims.indexOf(sim) === 1;
+      if (!this.replay && !sim.level && !opponentSim && !(this.host || this).botSims.has(sim)) {
+        this.cosmetics.addCoins(1);
+      }
+    });
+    sim.on("shield", ({ x, y }) => {
+      this.spawnHitParticles(x, y, this.colors.powerUps.shield);
+      soundManager.playPickupSound();
+    });
+    sim.on("shieldUsed", ({ blocks }) => {
+      for (const block of blocks) {
+        const { x, y } = block.center;
+        this.spawnHitParticles(x, y, this.colors.powerUps.shield);
+      }
+      soundManager.playDestroySound();
+    });
+    sim.on("bomb", ({ x, y }) => {
+      this.spawnExplosion(x, y);
+      soundManager.playDestroySound();
+    });
+    sim.on("laser", ({ x, y, orientation }) => {
+      this.beams.push({ x, y, orientation, life: 0.25, initialLife: 0.25 });
+    });
+    sim.on("split", ({ x, y }) => {
+      this.spawnHitParticles(x, y, this.colors.powerUps.splitter);
+      soundManager.playWallBounceSound();
+    });
+    sim.on("score", (event) => this.spawnScorePopup(event));
+    sim.on("launch", () => {
+      soundManager.playLaunchSound();
+      // Speeding up one side of a split-screen match would be unfair.
+      if (!this.replay && !this.host && !(this.match && this.match.style === "split")) {
+        volleyControls.classList.remove("hidden");
+      }
+    });
+    sim.on("recall", ({ x }) => {
+      this.spawnHitParticles(x, sim.baseY - BALL_RADIUS, this.colors.ball);
+    });
+    sim.on("turnEnd", ({ turn, score, summary }) => {
+      if (!this.host) {
+        volleyControls.classList.add("hidden");
+      }
+      this.isAiming = false;
+      this.turnAngle = null;
+      this.updateHUD();
+      soundManager.playTurnEndSound();
+      this.showTurnSummary(summary);
+      if (!this.replay && !this.match) {
+        const turnText = sim.level ? `Turn ${turn} of ${sim.level.turnLimit}` : `Turn ${turn}`;
+        this.announce(`${turnText}. Score ${score}. ${sim.ballChain} ${sim.ballChain === 1 ? "ball" : "balls"}.`);
+        if (!sim.level) {
+          saveRun(this.seedSource, sim, this.botSims.has(sim));
+        }
+      }
+    });
+    sim.on("gameOver", () => {
+      if (!this.host) {
+        volleyControls.classList.add("hidden");
+      }
+      soundManager.playGameOverSound();
+      if (this.replay) {
+        this.updateReplayControls();
+        return;
+      }
+      this.isAiming = false;
+      this.turnAngle = null;
+      // The match reports the result once it is decided.
+      if (this.match) {
+        this.updateHUD();
+        return;
+      }
+      if (sim.level) {
+        this.finishLevel(sim);
+        return;
+      }
+      const rank = this.recordRun(sim);
+      clearSavedRun();
+      this.updateHUD();
+      this.showGameOverOverlay();
+      newBestBadge.classList.toggle("hidden", rank !== 0 || sim.score === 0);
+      this.announce(`Game over. Final score ${sim.score}.${rank === 0 && sim.score > 0 ? " New best!" : ""}`);
+    });
+  }
+
+  // Pointer aiming and editing on this board's canvas.
+  bindBoardEvents() {
+    const getCanvasPos = (event) => {
+      const rect = this.canvas.getBoundingClientRect();
+      return {
+        x: (event.clientX - rect.left) * (GAME_WIDTH / rect.width),
+        y: (event.clientY - rect.top) * (GAME_HEIGHT / rect.height),
+      };
+    };
+
+    // Dragging back below the base line withdraws the aim, so releasing there
+    // cancels the shot. Moving back above it aims again.
+    const aimAt = (pos) => {
+      if (pos.y >= this.sim.baseY) {
+        this.turnAngle = null;
+        return;
+      }
+      this.turnAngle = clampAimAngle(Math.atan2(pos.y - this.sim.baseY, pos.x - this.sim.baseBallPosition), this.sim.rules.aimLimit);
+    };
+
+    // Only the primary pointer aims. It is captured on press, so the drag keeps
+    // tracking (and never fires) when it wanders off the canvas.
+    const startAim = (event) => {
+      if (this.editing) {
+        startEdit(event);
+        return;
+      }
+      if (!event.isPrimary || event.button !== 0 || !this.canAim()) return;
+      event.preventDefault();
+      this.canvas.setPointerCapture(event.pointerId);
+      this.aimPointerId = event.pointerId;
+      this.isAiming = true;
+      this.aimHint.classList.add("hidden");
+      aimAt(getCanvasPos(event));
+    };
+
+    const moveAim = (event) => {
+      if (event.pointerId === this.editPointerId) {
+        if (this.editor.paints) this.editAt(getCanvasPos(event));
+        return;
+      }
+      if (event.pointerId !== this.aimPointerId || this.sim.isLaunching) return;
+      aimAt(getCanvasPos(event));
+    };
+
+    const endAim = (event) => {
+      if (event.pointerId === this.editPointerId) {
+        this.editPointerId = null;
+        return;
+      }
+      if (event.pointerId !== this.aimPointerId) return;
+      this.aimPointerId = null;
+      if (!this.isAiming || this.sim.isLaunching) return;
+      this.isAiming = false;
+      if (this.turnAngle === null) {
+        this.aimHint.classList.remove("hidden");
+        return;
+      }
+      this.sim.launch(this.turnAngle);
+    };
+
+    const cancelAim = (event) => {
+      if (event.pointerId === this.editPointerId) {
+        this.editPointerId = null;
+        return;
+      }
+      if (event.pointerId !== this.aimPointerId) return;
+      this.aimPointerId = null;
+      this.isAiming = false;
+      this.turnAngle = null;
+    };
+
+    // In the editor the primary pointer places cells instead, painting as it
+    // drags for the grid tools.
+    const startEdit = (event) => {
+      if (!event.isPrimary || event.button !== 0) return;
+      event.preventDefault();
+      this.canvas.setPointerCapture(event.pointerId);
+      this.editPointerId = event.pointerId;
+      this.editAt(getCanvasPos(event));
+    };
+
+    this.canvas.addEventListener("pointerdown", startAim);
+    this.canvas.addEventListener("pointermove", moveAim);
+    this.canvas.addEventListener("pointerup", endAim);
+    this.canvas.addEventListener("pointercancel", cancelAim);
+    this.canvas.addEventListener("lostpointercapture", cancelAim);
+  }
+
+  bindEvents() {
+    this.bindBoardEvents();
+    restartBtn.addEventListener("click", () => this.reset());
+    statsBtn.addEventListener("click", () => this.showStats());
+    shopBtn.addEventListener("click", () => this.showShop());
+    versusBtn.addEventListener("click", () => this.openVersus());
+    versusStyles.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-style]");
+      if (!button) return;
+      versusDialog.close();
+      this.startVersus(button.dataset.style);
+    });
+    leaveVersusBtn.addEventListener("click", () => this.leaveVersus());
+    raceBtn.addEventListener("click", () => this.openRace());
+    raceForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const { url, room, name } = raceForm.elements;
+      this.joinRace({ url: url.value.trim(), room: room.value, name: name.value });
+    });
+    leaveRaceBtn.addEventListener("click", () => this.leaveRace());
+    updateReloadBtn.addEventListener("click", () => this.applyUpdate());
+    updateDismissBtn.addEventListener("click", () => updateBar.classList.add("hidden"));
+    document.addEventListener("visibilitychange", () => this.handleVisibilityChange());
+    shopSections.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-item]");
+      if (!button || button.disabled) return;
+      this.chooseCosmetic(button.dataset.slot, button.dataset.item);
+    });
+    leaderboardBody.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-seed]");
+      if (!button) return;
+      statsDialog.close();
+      this.playSeed(button.dataset.seed);
+    });
+    overlayRestartBtn.addEventListener("click", () => this.reset());
+    continueBtn.addEventListener("click", () => this.resumeSavedRun());
+    newGameBtn.addEventListener("click", () => this.discardSavedRun());
+    modeSelect.addEventListener("change", () => this.setMode(modeSelect.value));
+    rulesSelect.addEventListener("change", () => this.setRules(rulesSelect.value));
+    for (const [field, { min, max, step }] of Object.entries(RULE_LIMITS)) {
+      Object.assign(rulesForm.elements[field], { min, max, step });
+    }
+    rulesForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const rules = {};
+      for (const field of Object.keys(RULE_LIMITS)) {
+        rules[field] = Number(rulesForm.elements[field].value);
+      }
+      this.updateSetting("customRules", rules);
+      this.setRules("custom");
+    });
+    seedForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.playSeed(seedInput.value);
+    });
+    dailyBtn.addEventListener("click", () => this.playDaily());
+    campaignBtn.addEventListener("click", () => this.openCampaign());
+    campaignList.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-level]");
+      if (!button || button.disabled) return;
+      campaignDialog.close();
+      this.playCampaignLevel(Number(button.dataset.level));
+    });
+    nextLevelBtn.addEventListener("click", () => this.playCampaignLevel(this.levelIndex + 1));
+    backToEditorBtn.addEventListener("click", () => this.openEditor());
+    editorBtn.addEventListener("click", () => this.openEditor());
+    editorForm.addEventListener("change", () => this.readEditorForm());
+    editorForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.testLevel();
+    });
+    editorForm.elements.export.addEventListener("click", () => this.exportLevel());
+    editorForm.elements.import.addEventListener("click", () => this.importLevel());
+    editorForm.elements.clear.addEventListener("click", () => {
+      this.editor.clear();
+      this.refreshEditorPreview();
+    });
+    editorForm.elements.close.addEventListener("click", () => this.closeEditor());
+    seedValue.addEventListener("click", () => this.copyShareLink());
+
+    watchReplayBtn.addEventListener("click", () => this.startReplay(this.sim.getReplay()));
+    copyReplayBtn.addEventListener("click", () => this.copyReplayLink());
+    replayPlayBtn.addEventListener("click", () => this.toggleReplayPlayback());
+    replayExitBtn.addEventListener("click", () => this.exitReplay());
+    replaySpeed.addEventListener("change", () => {
+      this.replaySpeed = Number(replaySpeed.value) || 1;
+    });
+    fastForwardBtn.addEventListener("click", () => this.cycleFastForward());
+    recallBtn.addEventListener("click", () => {
+      if (!this.replay) this.sim.recall();
+    });
+    replaySeek.addEventListener("input", () => this.seekReplay(Number(replaySeek.value)));
+    aimAssistSelect.addEventListener("change", () => this.updateSetting("aimAssist", aimAssistSelect.value));
+    autoplaySelect.addEventListener("change", () => this.updateSetting("autoplay", autoplaySelect.value));
+    themeSelect.addEventListener("change", () => this.updateSetting("theme", themeSelect.value));
+    soundToggle.addEventListener("change", () => this.updateSetting("muted", !soundToggle.checked));
+    volumeSlider.addEventListener("input", () => this.updateSetting("volume", Number(volumeSlider.value)));
+    reducedMotionToggle.addEventListener("change", () => this.updateSetting("reducedMotion", reducedMotionToggle.checked));
+    window.addEventListener("keydown", (event) => this.handleKey(event));
+  }
+
+  canAim() {
+    if (this.match && !this.match.canPlay(this.match.sims.indexOf(this.sim))) return false;
+    return !this.editing && !this.replay && !this.savedRun && this.sim.canLaunch();
+  }
+
+  rotateAim(step) {
+    if (!this.canAim()) return;
+    this.aimHint.classList.add("hidden");
+    this.turnAngle = clampAimAngle((this.turnAngle ?? -Math.PI / 2) + step, this.sim.rules.aimLimit);
+  }
+
+  fire() {
+    if (!this.canAim()) return;
+    this.isAiming = false;
+    this.sim.launch(this.turnAngle ?? -Math.PI / 2);
+  }
+
+  handleKey(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    // Leave typing and dialogs alone, and let a focused button keep the keys
+    // that press it; arrows still aim after clicking a HUD button.
+    if (event.target.closest && event.target.closest("input, select, textarea, dialog")) return;
+    if (event.target.closest && event.target.closest("button, summary") && (event.key === " " || event.key === "Enter")) return;
+
+    const step = event.shiftKey ? AIM_STEP_COARSE : AIM_STEP_FINE;
+    // Split-screen gives the left board A/D and W or Space, and the right
+    // board the arrows and Enter.
+    const split = Boolean(this.opponent && this.match && this.match.style === "split");
+    const right = split ? this.opponent : this;
+    switch (event.key) {
+      case "a":
+      case "A":
+        if (!split) return;
+        this.rotateAim(-step);
+        break;
+      case "d":
+      case "D":
+        if (!split) return;
+        this.rotateAim(step);
+        break;
+      case "w":
+      case "W":
+        if (!split) return;
+        this.fire();
+        break;
+      case "ArrowUp":
+        if (!split) return;
+        right.fire();
+        break;
+      case "ArrowLeft":
+        right.rotateAim(-step);
+        break;
+      case "ArrowRight":
+        right.rotateAim(step);
+        break;
+      case " ":
+        this.fire();
+        break;
+      case "Enter":
+        right.fire();
+        break;
+      case "r":
+      case "R":
+        if (!this.editing) this.reset();
+        break;
+      case "m":
+      case "M":
+        this.updateSetting("muted", !this.settings.muted);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  // Left stick points the shot, the d-pad nudges it; buttons fire on press, not hold.
+  pollGamepad() {
+    // The split-screen opponent takes the second connected pad.
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const pad = Array.from(pads).filter((candidate) => candidate && candidate.connected)[this.host ? 1 : 0];
+    if (!pad) return;
+
+    const pressed = (name) => Boolean(pad.buttons[GAMEPAD_BUTTONS[name]] && pad.buttons[GAMEPAD_BUTTONS[name]].pressed);
+    const previous = this.gamepadButtons || {};
+    const justPressed = (name) => pressed(name) && !previous[name];
+
+    const [x = 0, y = 0] = pad.axes;
+    if (Math.hypot(x, y) > GAMEPAD_DEADZONE && this.canAim()) {
+      this.aimHint.classList.add("hidden");
+      // A stick pulled downwards still aims along the floor on its own side.
+      this.turnAngle = clampAimAngle(Math.atan2(Math.min(y, -0), x), this.sim.rules.aimLimit);
+    }
+    if (pressed("left")) this.rotateAim(-AIM_STEP_FINE);
+    if (pressed("right")) this.rotateAim(AIM_STEP_FINE);
+    if (justPressed("fire")) this.fire();
+    if (justPressed("restart")) (this.host || this).reset();
+
+    this.gamepadButtons = Object.fromEntries(Object.keys(GAMEPAD_BUTTONS).map((name) => [name, pressed(name)]));
+  }
+
+  cycleFastForward() {
+    const index = FAST_FORWARD_SPEEDS.indexOf(this.fastForward);
+    this.fastForward = FAST_FORWARD_SPEEDS[(index + 1) % FAST_FORWARD_SPEEDS.length];
+    fastForwardBtn.textContent = `${this.fastForward}×`;
+    fastForwardBtn.setAttribute("aria-pressed", String(this.fastForward > 1));
+  }
+
+  setMode(mode) {
+    if (!GAME_MODES.includes(mode)) return;
+    this.level = null;
+    // The daily layout is only defined for classic; other modes keep the seed as a custom run.
+    if (this.seedSource === "daily") {
+      this.seedSource = "custom";
+    }
+    this.mode = mode;
+    modeSelect.value = mode;
+    this.reset();
+  }
+
+  // Presets by name, or "custom" for the rules saved from the editor.
+  setRules(name) {
+    const rules = name === "custom" ? this.settings.customRules : RULESETS[name];
+    if (!rules) return;
+    // The daily layout is only defined on normal rules; others keep the seed as a custom run.
+    if (this.seedSource === "daily") {
+      this.seedSource = "custom";
+    }
+    this.level = null;
+    this.rules = { ...rules };
+    if (name === "custom") {
+      rulesEditor.open = true;
+    }
+    this.reset();
+  }
+
+  playLevel(level, { campaignIndex = null, fromEditor = false } = {}) {
+    this.level = level;
+    this.levelIndex = campaignIndex;
+    this.levelFromEditor = fromEditor;
+    this.reset();
+  }
+
+  playCampaignLevel(index) {
+    const pack = this.levelPack;
+    if (!pack || !pack.levels[index] || !this.campaign.isUnlocked(pack, index)) return;
+    this.playLevel(pack.levels[index], { campaignIndex: index });
+  }
+
+  finishLevel(sim) {
+    const { won, stars } = sim.levelResult;
+    if (won && this.levelIndex !== null) {
+      this.campaign.recordStars(sim.level.id, stars);
+    }
+    this.updateHUD();
+    this.showGameOverOverlay();
+    this.announce(won ? `Level complete. ${stars} of ${MAX_STARS} stars.` : "Out of turns. Level failed.");
+  }
+
+  // The pack is fetched the first time the campaign is opened.
+  openCampaign() {
+    campaignDialog.showModal();
+    if (this.levelPack) {
+      this.renderCampaign();
+      return;
+    }
+    campaignStatus.textContent = "Loading levels…";
+    loadLevelPack().then(
+      (pack) => {
+        this.levelPack = pack;
+        this.renderCampaign();
+      },
+      (e) => {
+        console.warn(`Could not load the campaign: ${e.message}`);
+        campaignStatus.textContent = "Could not load the campaign levels.";
+      },
+    );
+  }
+
+  renderCampaign() {
+    const pack = this.levelPack;
+    campaignTitle.textContent = pack.name;
+    campaignStatus.textContent = `${this.campaign.totalStars(pack)} of ${pack.levels.length * MAX_STARS} stars`;
+    campaignList.replaceChildren(
+      ...pack.levels.map((level, index) => {
+        const unlocked = this.campaign.isUnlocked(pack, index);
+        const stars = this.campaign.starsFor(level.id);
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "campaign__level";
+        button.dataset.level = String(index);
+        button.disabled = !unlocked;
+
+        const name = document.createElement("span");
+        name.textContent = `${index + 1}. ${level.name}`;
+        const rating = document.createElement("span");
+        rating.className = "campaign__stars";
+        rating.textContent = unlocked ? formatStars(stars) : "Locked";
+        rating.setAttribute("aria-label", unlocked ? `${stars} of ${MAX_STARS} stars` : "Locked");
+        button.append(name, rating);
+
+        const item = document.createElement("li");
+        item.append(button);
+        return item;
+      })
+    );
+  }
+
+  // Opening the editor ends the current run, just as starting a new one does.
+  // A level being played becomes the starting point for a new draft.
+  openEditor() {
+    if (this.replay) {
+      this.exitReplay();
+    }
+    this.endCurrentRun();
+    if (!this.editor) {
+      this.editor = new LevelEditor(this.level ?? undefined);
+    }
+    this.level = null;
+    this.levelIndex = null;
+    this.startRun(this.editor.buildPreview());
+    this.editing = true;
+    editorForm.classList.remove("hidden");
+    this.aimHint.classList.add("hidden");
+    editorStatus.textContent = "Click or drag on the board to place the selected tool.";
+    this.fillEditorForm();
+    this.updateSeedDisplay();
+  }
+
+  closeEditor() {
+    this.level = null;
+    this.reset();
+  }
+
+  editAt(pos) {
+    if (this.editor.applyAt(pos.x, pos.y)) {
+      this.refreshEditorPreview();
+    }
+  }
+
+  refreshEditorPreview() {
+    this.sim = this.editor.buildPreview();
+    this.updateHUD();
+  }
+
+  fillEditorForm() {
+    const { elements } = editorForm;
+    const { level } = this.editor;
+    elements.tool.value = this.editor.tool;
+    elements.strength.value = String(this.editor.strength);
+    elements.shape.value = this.editor.shape;
+    elements.name.value = level.name;
+    elements.balls.value = String(level.balls);
+    elements.turnLimit.value = String(level.turnLimit);
+    elements.goal.value = level.goal.type;
+    elements.target.value = level.goal.type === "score" ? String(level.goal.target) : "";
+    elements.threeStars.value = String(level.stars[0]);
+    elements.twoStars.value = String(level.stars[1]);
+  }
+
+  // Form values are copied as typed; parseLevel() reports problems when the
+  // level is tested or exported.
+  readEditorForm() {
+    const { elements } = editorForm;
+    const { level } = this.editor;
+    this.editor.tool = elements.tool.value;
+    this.editor.strength = Math.max(1, Math.round(Number(elements.strength.value)) || 1);
+    this.editor.shape = elements.shape.value;
+    level.name = elements.name.value;
+    level.balls = Number(elements.balls.value);
+    level.turnLimit = Number(elements.turnLimit.value);
+    level.goal = elements.goal.value === "score" ? { type: "score", target: Number(elements.target.value) } : { type: "clear" };
+    level.stars = [Number(elements.threeStars.value), Number(elements.twoStars.value)];
+    this.refreshEditorPreview();
+  }
+
+  testLevel() {
+    let level;
+    try {
+      level = parseLevel(this.editor.level);
+    } catch (e) {
+      editorStatus.textContent = e.message;
+      return;
+    }
+    this.playLevel(level, { fromEditor: true });
+  }
+
+  exportLevel() {
+    try {
+      editorForm.elements.json.value = this.editor.toJSON();
+      editorStatus.textContent = "Level JSON written below.";
+    } catch (e) {
+      editorStatus.textContent = e.message;
+    }
+  }
+
+  importLevel() {
+    try {
+      this.editor.importJSON(editorForm.elements.json.value);
+    } catch (e) {
+      editorStatus.textContent = `Could not import: ${e.message}`;
+      return;
+    }
+    this.fillEditorForm();
+    this.refreshEditorPreview();
+    editorStatus.textContent = `Imported "${this.editor.level.name}".`;
+  }
+
+  showGameOverBanner() {
+    const { ctx } = this;
+    ctx.save();
+    ctx.fillStyle = this.colors.banner;
+    ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+    ctx.fillStyle = this.colors.text;
+    ctx.font = "800 36px 'Segoe UI', sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillText("Game Over", GAME_WIDTH / 2, GAME_HEIGHT / 2 - 20);
+    ctx.font = "400 20px 'Segoe UI', sans-serif";
+    ctx.fillText(`Score: ${this.sim.score}`, GAME_WIDTH / 2, GAME_HEIGHT / 2 + 16);
+    ctx.fillText("Tap Restart to play again", GAME_WIDTH / 2, GAME_HEIGHT / 2 + 48);
+    ctx.restore();
+  }
+
+  updateHUD() {
+    if (this.host) {
+      this.host.updateHUD();
+      return;
+    }
+    if (this.match) {
+      this.updateVersusBar();
+    }
+    scoreValue.textContent = this.sim.score;
+    ballCountValue.textContent = this.sim.ballChain;
+    bestScoreValue.textContent = this.sim.level
+      ? this.sim.score
+      : Math.max(this.records.bestScore(this.sim.mode, rulesetKey(this.sim.rules)), this.sim.score);
+    levelInfo.classList.toggle("hidden", !this.sim.level);
+    if (this.sim.level) {
+      const { name, turnLimit, goal } = this.sim.level;
+      const target = goal.type === "clear" ? "Clear the board" : `Score ${goal.target}`;
+      levelInfo.textContent = `${name} · Turn ${Math.min(this.sim.turn, turnLimit)}/${turnLimit} · ${target}`;
+    }
+  }
+
+  // Each simulation is recorded at most once, whether it ended or was abandoned.
+  // Level runs only count towards campaign stars, versus runs are only
+  // compared with each other and bot-played runs aren't the player's.
+  recordRun(sim) {
+    if (sim.level || this.versusSims.has(sim) || this.botSims.has(sim) || this.recordedSims.has(sim)) return -1;
+    this.recordedSims.add(sim);
+    return this.records.recordRun({
+      score: sim.score,
+      // Completed turns, as levels count them; sim.turn is the next one.
+      turns: sim.turn - 1,
+      balls: sim.ballChain,
+      seed: sim.seed,
+      mode: sim.mode,
+      rules: rulesetKey(sim.rules),
+      blocksDestroyed: sim.blocksDestroyed,
+      ballsFired: sim.ballsFired,
+    });
+  }
+
+  openVersus() {
+    versusTitle.textContent = "Versus";
+    versusTable.classList.add("hidden");
+    versusDialog.showModal();
+  }
+
+  // Player 1 plays on the main board. In hot-seat player 2 takes over the same
+  // board between turns; in split-screen they get their own Game alongside.
+  startVersus(style) {
+    if (this.replay) {
+      this.exitReplay();
+    }
+    this.level = null;
+    this.endCurrentRun();
+    this.rollSeed();
+    const match = new VersusMatch({ seed: this.seed, mode: this.mode, rules: this.rules, style });
+    for (const sim of match.sims) {
+      this.versusSims.add(sim);
+    }
+    match.on("turn", ({ player }) => this.passVersusTurn(player));
+    match.on("garbage", () => this.updateHUD());
+    match.on("end", (result) => this.showVersusResults(result));
+
+    this.match = match;
+    this.startRun(match.sims[0]);
+    if (match.style === "split") {
+      if (!this.opponent) {
+        this.opponent = new Game({ canvas: versusCanvas, aimHint: versusAimHint, turnSummary: versusTurnSummary }, this);
+      }
+      this.opponent.match = match;
+      this.opponent.showSimulation(match.sims[1]);
+    } else {
+      this.attachSimulation(match.sims[1]);
+    }
+
+    gameShell.classList.toggle("game-shell--split", match.style === "split");
+    versusBoard.classList.toggle("hidden", match.style !== "split");
+    versusBar.classList.remove("hidden");
+    playerLabel.classList.remove("hidden");
+    playerLabel.textContent = "Player 1";
+    this.updateHUD();
+    this.announce(match.style === "split" ? "Split-screen versus. Both players, go!" : "Hot-seat versus. Player 1 to shoot.");
+  }
+
+  // Drops the match without starting anything; callers start the next run.
+  endVersus() {
+    this.match = null;
+    if (this.opponent) {
+      this.opponent.match = null;
+    }
+    gameShell.classList.remove("game-shell--split");
+    versusBoard.classList.add("hidden");
+    versusBar.classList.add("hidden");
+    playerLabel.classList.add("hidden");
+  }
+
+  leaveVersus() {
+    this.endVersus();
+    this.reset();
+  }
+
+  // Hot-seat hands the main board to the other player's simulation.
+  passVersusTurn(player) {
+    this.sim = this.match.sims[player];
+    this.turnAngle = null;
+    this.isAiming = false;
+    this.aimPointerId = null;
+    playerLabel.textContent = `Player ${player + 1}`;
+    this.aimHint.classList.remove("hidden");
+    this.updateHUD();
+    this.announce(`Player ${player + 1} to shoot.`);
+  }
+
+  updateVersusBar() {
+    const { sims, style, current, finished } = this.match;
+    const players = sims.map((sim, index) => {
+      const incoming = sim.incomingGarbage > 0 ? ` (+${sim.incomingGarbage} garbage)` : "";
+      return `Player ${index + 1}: ${sim.score}${incoming}`;
+    });
+    const turn = style === "hotseat" && !finished ? ` · Player ${current + 1} to shoot` : "";
+    versusStatus.textContent = players.join(" · ") + turn;
+  }
+
+  showVersusResults({ winner, players }) {
+    this.updateHUD();
+    versusTitle.textContent = winner === null ? "It's a draw!" : `Player ${winner + 1} wins!`;
+    versusBody.replaceChildren(
+      ...VERSUS_STATS.map(([label, key]) => {
+        const row = document.createElement("tr");
+        const heading = document.createElement("th");
+        heading.scope = "row";
+        heading.textContent = label;
+        row.append(heading);
+        for (const player of players) {
+          const cell = document.createElement("td");
+          cell.textContent = player[key];
+          row.append(cell);
+        }
+        return row;
+      })
+    );
+    versusTable.classList.remove("hidden");
+    this.announce(`${versusTitle.textContent} Scores ${players[0].score} to ${players[1].score}.`);
+    versusDialog.showModal();
+  }
+
+  openRace() {
+    const { url } = raceForm.elements;
+    if (!url.value) {
+      url.value = defaultRaceUrl(window.location);
+    }
+    raceDialogStatus.textContent = "";
+    raceDialog.showModal();
+  }
+
+  // The run starts once the server has sent the room's seed and rules.
+  joinRace({ url, room, name }) {
+    if (!normalizeRoomCode(room)) {
+      raceDialogStatus.textContent = "Room codes use letters and digits.";
+      return;
+    }
+    if (this.race) {
+      this.endRace();
+    }
+    let race;
+    try {
+      race = new RaceClient(url);
+      race.join({ room: normalizeRoomCode(room), name, rules: this.rules });
+    } catch (e) {
+      raceDialogStatus.textContent = "That server address is not valid.";
+      return;
+    }
+    this.race = race;
+    raceDialogStatus.textContent = "Connecting…";
+    race.on("welcome", (welcome) => this.startRace(race, welcome));
+    race.on("standings", () => this.updateRaceBar());
+    race.on("error", ({ message }) => {
+      raceDialogStatus.textContent = message;
+      this.announce(`Race: ${message}`);
+    });
+    race.on("close", ({ joined }) => {
+      if (this.race !== race) return;
+      if (!joined) {
+        raceDialogStatus.textContent = "Could not reach the race server.";
+        this.race = null;
+        return;
+      }
+      this.updateRaceBar();
+    });
+  }
+
+  // Races are a run like any other on the room's seed, so they still count
+  // towards records. The server hears about every shot as it is fired.
+  startRace(race, { room, seed, mode, rules }) {
+    if (this.replay) {
+      this.exitReplay();
+    }
+    this.level = null;
+    this.endCurrentRun();
+    this.seedSource = "custom";
+    this.seed = seed;
+    this.mode = mode;
+    modeSelect.value = mode;
+    this.rules = { ...rules };
+
+    const sim = new Simulation({ seed, mode, rules });
+    sim.on("launch", () => {
+      const { tick, angle } = sim.inputs[sim.inputs.length - 1];
+      race.reportLaunch(tick, angle);
+    });
+    sim.on("recall", () => race.reportRecall(sim.inputs[sim.inputs.length - 1].tick));
+    sim.on("turnEnd", ({ turn, score }) => race.reportTurn(turn, score));
+    sim.on("gameOver", ({ score }) => race.reportFinish(sim.tickCount, score));
+    this.raceSim = sim;
+    raceDialog.close();
+    this.startRun(sim);
+
+    raceBar.classList.remove("hidden");
+    this.updateRaceBar();
+    this.announce(`Joined race ${room}. Go!`);
+  }
+
+  // Drops the race without starting anything; callers start the next run.
+  endRace() {
+    if (this.race) {
+      this.race.leave();
+    }
+    this.race = null;
+    this.raceSim = null;
+    raceBar.classList.add("hidden");
+  }
+
+  leaveRace() {
+    this.endRace();
+    this.reset();
+  }
+
+  updateRaceBar() {
+    const { room, id, players, connected } = this.race;
+    const standings = players.map((player, index) => {
+      const name = player.id === id ? `${player.name} (you)` : player.name;
+      return `${index + 1}. ${name} ${player.score}${RACE_STATUS_MARKS[player.status] ?? ""}`;
+    });
+    const state = connected ? "" : " · Disconnected";
+    raceStatus.textContent = `Room ${room}${state} · ${standings.join(" · ")}`;
+  }
+
+  // Pages opened from disk can't register a worker. Reloading after an update
+  // is safe mid-run: the run was saved at the end of the last turn.
+  registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || window.location.protocol === "file:") return;
+    let reloading = false;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (!this.updateAccepted || reloading) return;
+      reloading = true;
+      window.location.reload();
+    });
+    navigator.serviceWorker
+      .register("sw.js", { updateViaCache: "none" })
+      .then((registration) => {
+        // A worker already waiting was installed by an earlier visit.
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          this.showUpdatePrompt(registration.waiting);
+        }
+        registration.addEventListener("updatefound", () => {
+          const worker = registration.installing;
+          worker.addEventListener("statechange", () => {
+            // Without a controller this is the first install, not an update.
+            if (worker.state === "installed" && navigator.serviceWorker.controller) {
+              this.showUpdatePrompt(worker);
+            }
+          });
+        });
+      })
+      .catch(() => console.warn("Could not register the service worker"));
+  }
+
+  showUpdatePrompt(worker) {
+    this.waitingWorker = worker;
+    updateBar.classList.remove("hidden");
+    this.announce("A new version of the game is ready. Reload to update.");
+  }
+
+  // The page reloads once the new worker has taken over.
+  applyUpdate() {
+    if (!this.waitingWorker) return;
+    this.updateAccepted = true;
+    updateReloadBtn.disabled = true;
+    this.waitingWorker.postMessage({ type: "skipWaiting" });
+  }
+
+  showShop() {
+    this.renderShop();
+    shopDialog.showModal();
+  }
+
+  renderShop() {
+    shopCoins.textContent = this.cosmetics.coins;
+    shopSections.replaceChildren(
+      ...COSMETIC_SLOTS.flatMap((slot) => {
+        const title = document.createElement("h3");
+        title.className = "stats__subtitle";
+        title.textContent = SHOP_SLOT_LABELS[slot];
+
+        const grid = document.createElement("div");
+        grid.className = "shop__grid";
+        for (const [id, item] of Object.entries(COSMETICS[slot])) {
+          grid.append(this.createShopItem(slot, id, item));
         }
+        return [title, grid];
+      })
+    );
+  }
+
+  createShopItem(slot, id, item) {
+    const owned = this.cosmetics.owns(slot, id);
+    const equipped = this.cosmetics.equippedId(slot) === id;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "shop__item";
+    button.dataset.slot = slot;
+    button.dataset.item = id;
+    button.disabled = !owned && item.price > this.cosmetics.coins;
+    button.setAttribute("aria-pressed", String(equipped));
+
+    const swatch = document.createElement("span");
+    swatch.className = "shop__swatch";
+    if (slot === "skin") {
+      if (item.emoji) {
+        swatch.textContent = item.emoji;
+      } else {
+        const [inner, outer] = item.gradient ?? [];
+        swatch.style.background = item.gradient ? `radial-gradient(circle at 35% 35%, ${inner}, ${outer})` : item.fill ?? this.colors.ball;
+      }
+    } else if (slot === "trail") {
+      swatch.style.background = item.rainbow ? RAINBOW_SWATCH : item.length ? `linear-gradient(90deg, transparent, ${this.colors.ball})` : "none";
+    } else {
+      swatch.textContent = LAUNCHER_ICONS[id];
+    }
+
+    const name = document.createElement("span");
+    name.className = "shop__name";
+    name.textContent = item.name;
+    const status = document.createElement("span");
+    status.className = "shop__status";
+    status.textContent = equipped ? "Equipped" : owned ? "Owned" : `${item.price} coins`;
+    button.append(swatch, name, status);
+    return button;
+  }
+
+  // Owned items are equipped straight away; others are bought first.
+  chooseCosmetic(slot, id) {
+    const item = COSMETICS[slot] && COSMETICS[slot][id];
+    if (!item) return;
+    if (!this.cosmetics.owns(slot, id)) {
+      if (!this.cosmetics.buy(slot, id)) return;
+      this.announce(`Unlocked ${item.name}. ${this.cosmetics.coins} coins left.`);
+    }
+    this.cosmetics.equip(slot, id);
+    this.renderShop();
+  }
+
+  showStats() {
+    const { stats } = this.records;
+    for (const [key, field] of Object.entries(statFields)) {
+      field.textContent = stats[key];
+    }
+
+    const rulesKey = rulesetKey(this.rules);
+    const runs = this.records.topRuns(this.mode, rulesKey);
+    leaderboardTitle.textContent = `Top runs: ${this.mode}, ${RULESET_LABELS[rulesKey] ?? RULESET_LABELS.custom}`;
+    leaderboardEmpty.classList.toggle("hidden", runs.length > 0);
+    leaderboardBody.replaceChildren(
+      ...runs.map((run, index) => {
+        const row = document.createElement("tr");
+        const cells = [index + 1, run.score, run.turns, run.balls, null, new Date(run.date).toLocaleDateString()];
+        for (const value of cells) {
+          const cell = document.createElement("td");
+          if (value === null) {
+            const seedButton = document.createElement("button");
+            seedButton.type = "button";
+            seedButton.className = "stats__seed";
+            seedButton.dataset.seed = formatSeed(run.seed);
+            seedButton.textContent = formatSeed(run.seed);
+            seedButton.title = "Play this seed";
+            cell.append(seedButton);
+          } else {
+            cell.textContent = value;
+          }
+          row.append(cell);
+        }
+        return row;
+      })
+    );
+    statsDialog.showModal();
+  }
+
+  update(delta) {
+    if (this.replay) {
+      if (!this.replayPaused) {
+        this.replay.advanceTime(delta * this.replaySpeed);
+        if (this.replay.finished) {
+          this.replayPaused = true;
+        }
+        this.updateReplayControls();
+      }
+    } else {
+      const speed = this.match && this.match.style === "split" ? 1 : this.fastForward;
+      this.sim.step(delta * speed);
+      this.updateAutoplay(delta);
+    }
+
+    this.particles = this.particles.filter((p) => p.life > 0);
+    for (const particle of this.particles) {
+      particle.update(delta);
+    }
+
+    this.beams = this.beams.filter((beam) => beam.life > 0);
+    for (const beam of this.beams) {
+      beam.life -= delta;
+    }
+
+    this.popups = this.popups.filter((popup) => popup.life > 0);
+    for (const popup of this.popups) {
+      popup.update(delta);
+    }
+
+    this.recordTrails();
+  }
+
+  // The bot picks its shot as soon as the turn opens and fires once the aim
+  // line has been on screen for AUTOPLAY_DELAY. Grabbing the aim cancels the
+  // pending shot. Level runs can't be snapshotted, so they are never autoplayed.
+  updateAutoplay(delta) {
+    if (this.settings.autoplay === "off" || this.match || this.race || this.sim.level || this.isAiming || !this.canAim()) {
+      this.autoplayTimer = null;
+      return;
+    }
+    if (this.autoplayTimer === null) {
+      if (!this.bot || this.bot.name !== this.settings.autoplay) {
+        this.bot = new BOTS[this.settings.autoplay]({ seed: this.seed });
       }
+      this.aimHint.classList.add("hidden");
+      this.turnAngle = this.bot.chooseAngle(this.sim.serialize());
+      this.autoplayTimer = AUTOPLAY_DELAY;
+      return;
+    }
+    this.autoplayTimer -= delta;
+    if (this.autoplayTimer <= 0) {
+      this.autoplayTimer = null;
+      this.botSims.add(this.sim);
+      this.fire();
     }
+  }
+
+  // One sample per frame from each ball's position at the start of its last
+  // tick; balls that come to rest drop their trail.
+  recordTrails() {
+    const { length } = this.cosmetics.equipped("trail");
+    if (!length) return;
+    for (const ball of this.sim.balls) {
+      if (ball.resting) {
+        this.trails.delete(ball);
+        continue;
+      }
+      const history = this.trails.get(ball) ?? [];
+      history.push({ x: ball.prevX, y: ball.prevY });
+      if (history.length > length) {
+        history.splice(0, history.length - length);
+      }
+      this.trails.set(ball, history);
+    }
+  }
+
+  clearEffects() {
+    this.particles = [];
+    this.beams = [];
+    this.popups = [];
+    clearTimeout(this.summaryTimer);
+    this.turnSummary.classList.add("hidden");
+  }
 
-    this.barrierBlocks = this.barrierBlocks.filter((barrier) => !barrier.destroyed);
+  spawnScorePopup({ points, kind, x, y, combo }) {
+    if (kind === "hit") {
+      if (this.popups.length >= MAX_SCORE_POPUPS) return;
+      const boosted = combo > COMBO.step;
+      this.popups.push(new ScorePopup(x, y, `+${points}`, {
+        color: boosted ? this.colors.pickup : this.colors.text,
+        size: boosted ? 15 : 12,
+        rise: this.settings.reducedMotion ? 0 : 30,
+      }));
+      return;
+    }
+    const label = kind === "boardClear" ? `Board clear! +${points}` : `Multi-kill +${points}`;
+    this.popups.push(new ScorePopup(x, y, label, {
+      color: this.colors.pickup,
+      size: kind === "boardClear" ? 26 : 18,
+      rise: this.settings.reducedMotion ? 0 : 50,
+      life: 1.4,
+    }));
   }
 
-  circleRectCollision(ball, rect) {
-    const closestX = clamp(ball.x, rect.x, rect.x + rect.w);
-    const closestY = clamp(ball.y, rect.y, rect.y + rect.h);
-    const dx = ball.x - closestX;
-    const dy = ball.y - closestY;
-    return dx * dx + dy * dy < BALL_RADIUS * BALL_RADIUS;
+  // Brief breakdown of the volley's points, shown over the board after each turn.
+  showTurnSummary(summary) {
+    const lines = [
+      ["Hits", summary.hitPoints],
+      [`Best combo: ${summary.bestCombo} ${summary.bestCombo === 1 ? "hit" : "hits"}`, summary.comboPoints],
+      ["Multi-kills", summary.multiKillPoints],
+      ["Board clear", summary.clearPoints],
+    ].filter(([, points]) => points > 0);
+    if (!lines.length) return;
+
+    const total = lines.reduce((sum, [, points]) => sum + points, 0);
+    const title = document.createElement("p");
+    title.className = "turn-summary__total";
+    title.textContent = `+${total}`;
+    const rows = lines.map(([label, points]) => {
+      const row = document.createElement("p");
+      row.className = "turn-summary__row";
+      row.textContent = `${label} +${points}`;
+      return row;
+    });
+    this.turnSummary.replaceChildren(title, ...rows);
+    this.turnSummary.classList.remove("hidden");
+    clearTimeout(this.summaryTimer);
+    this.summaryTimer = setTimeout(() => this.turnSummary.classList.add("hidden"), TURN_SUMMARY_MS);
   }
 
-  spawnHitParticles(x, y, color = "#ffffff") {
-    const count = 6 + Math.floor(Math.random() * 6);
+  spawnHitParticles(x, y, color = this.colors.spark) {
+    const count = 6 + Math.floor(this.fxRng.next() * 6);
     for (let i = 0; i < count; i++) {
-      this.particles.push(new Particle(x, y, color));
+      this.particles.push(new Particle(x, y, color, this.fxRng));
     }
   }
 
   spawnExplosion(x, y) {
-    const colors = ["#ffd93d", "#ff6f61", "#ffad5c"];
-    const count = 28;
+    const colors = this.colors.explosion;
+    const reduced = this.settings.reducedMotion;
+    const count = reduced ? EXPLOSION_PARTICLES.reduced : EXPLOSION_PARTICLES.full;
+    const options = reduced ? { speed: 360, life: 0.35 } : { speed: 1320, life: 0.7 };
     for (let i = 0; i < count; i++) {
-      const color = colors[Math.floor(Math.random() * colors.length)];
-      this.particles.push(new Particle(x, y, color, { speed: 1320, life: 0.7 }));
+      const color = randomChoice(colors, this.fxRng);
+      this.particles.push(new Particle(x, y, color, this.fxRng, options));
     }
   }
 
   drawAim() {
+    const { ctx } = this;
     if (this.turnAngle === null) return;
+    const bounces = AIM_ASSIST_BOUNCES[this.settings.aimAssist];
+    if (!bounces) {
+      this.drawAimLine();
+      return;
+    }
+
+    const points = this.sim.tracePath(this.turnAngle, { bounces });
     ctx.save();
-    ctx.strokeStyle = COLORS.aim;
+    ctx.strokeStyle = this.colors.aim;
     ctx.lineWidth = 2;
     ctx.setLineDash([6, 10]);
     ctx.beginPath();
-    ctx.moveTo(this.baseBallPosition, this.baseY);
+    ctx.moveTo(points[0].x, points[0].y);
+    for (const point of points.slice(1)) {
+      ctx.lineTo(point.x, point.y);
+    }
+    ctx.stroke();
+
+    // Ghost balls mark where the shot bounces.
+    ctx.setLineDash([]);
+    ctx.strokeStyle = this.colors.aimStrong;
+    for (const point of points.slice(1, -1)) {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, BALL_RADIUS, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  drawAimLine() {
+    const { ctx } = this;
+    ctx.save();
+    ctx.strokeStyle = this.colors.aim;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 10]);
+    ctx.beginPath();
+    ctx.moveTo(this.sim.baseBallPosition, this.sim.baseY);
     let length = 600;
-    const tx = this.baseBallPosition + Math.cos(this.turnAngle) * length;
-    const ty = this.baseY + Math.sin(this.turnAngle) * length;
+    const tx = this.sim.baseBallPosition + Math.cos(this.turnAngle) * length;
+    const ty = this.sim.baseY + Math.sin(this.turnAngle) * length;
     ctx.lineTo(tx, ty);
     ctx.stroke();
     ctx.restore();
   }
 
   drawBase() {
-    ctx.fillStyle = COLORS.barrel;
-    ctx.beginPath();
-    ctx.arc(this.baseBallPosition, this.baseY, BALL_RADIUS + 2, 0, Math.PI * 2);
+    const { ctx } = this;
+    const { baseBallPosition: x, baseY: y } = this.sim;
+    ctx.save();
+    ctx.fillStyle = this.colors.barrel;
+    ctx.strokeStyle = this.colors.barrel;
+    ctx.lineWidth = 2;
+    switch (this.cosmetics.equippedId("launcher")) {
+      case "ring":
+        ctx.beginPath();
+        ctx.arc(x, y, BALL_RADIUS + 5, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(x, y, 3, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+      case "crosshair": {
+        const reach = BALL_RADIUS + 9;
+        ctx.beginPath();
+        ctx.arc(x, y, BALL_RADIUS + 3, 0, Math.PI * 2);
+        ctx.moveTo(x - reach, y);
+        ctx.lineTo(x + reach, y);
+        ctx.moveTo(x, y - reach);
+        ctx.lineTo(x, y + reach);
+        ctx.stroke();
+        break;
+      }
+      case "cannon": {
+        // The barrel follows the aim, or the shot in flight.
+        const angle = this.sim.launchAngle ?? this.turnAngle ?? -Math.PI / 2;
+        ctx.translate(x, y);
+        ctx.beginPath();
+        ctx.arc(0, 0, BALL_RADIUS + 4, Math.PI, Math.PI * 2);
+        ctx.fill();
+        ctx.rotate(angle);
+        ctx.fillRect(0, -4, BALL_RADIUS + 12, 8);
+        break;
+      }
+      default:
+        ctx.beginPath();
+        ctx.arc(x, y, BALL_RADIUS + 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  drawBlock(block) {
+    const { ctx } = this;
+    const { x, y, w: size } = block.rect;
+    if (block.type === "block") {
+      const { blocks } = this.colors;
+      const tier = strengthTier(block.strength, blocks.length);
+      ctx.fillStyle = block.garbage ? this.colors.garbage : blocks[tier];
+      traceShape(block.shape, block.rect, BLOCK_CORNER_RADIUS);
+      ctx.fill();
+
+      ctx.strokeStyle = this.colors.blockBorder;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+
+      const label = shapeLabelPosition(block.shape, block.rect);
+      const font = block.shape.startsWith("triangle") ? "700 16px 'Segoe UI', sans-serif" : "700 20px 'Segoe UI', sans-serif";
+      this.drawStrengthLabel(block.strength, label, font);
+      this.drawTierPips(tier, label, block.shape);
+    } else if (block.type === "pickup") {
+      ctx.fillStyle = this.colors.pickup;
+      ctx.beginPath();
+      ctx.roundRect(x, y, size, size, 12);
+      ctx.fill();
+
+      ctx.fillStyle = this.colors.pickupText;
+      ctx.font = "700 18px 'Segoe UI', sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText("+1", x + size / 2, y + size / 2);
+    } else {
+      const { x: cx, y: cy } = block.center;
+      // Persistent power-ups that already fired fade out until the turn ends.
+      ctx.globalAlpha = block.triggered ? 0.45 : 1;
+      this.drawPowerUp(block.type, cx, cy, block.triggerRadius);
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  // The number is the exact strength; pips repeat its tier so tiers can be told
+  // apart without relying on the fill color.
+  drawStrengthLabel(strength, label, font) {
+    const { ctx } = this;
+    ctx.font = font;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    if (this.colors.blockTextOutline) {
+      ctx.strokeStyle = this.colors.blockTextOutline;
+      ctx.lineWidth = 3;
+      ctx.lineJoin = "round";
+      ctx.strokeText(strength, label.x, label.y);
+    }
+    ctx.fillStyle = this.colors.blockText;
+    ctx.fillText(strength, label.x, label.y);
+  }
+
+  drawTierPips(tier, label, shape) {
+    const { ctx } = this;
+    const count = tier + 1;
+    const perRow = 4;
+    const spacing = 5;
+    const top = label.y + (shape.startsWith("triangle") ? 9 : 13);
+    ctx.fillStyle = this.colors.blockText;
+    for (let i = 0; i < count; i++) {
+      const row = Math.floor(i / perRow);
+      const inRow = Math.min(perRow, count - row * perRow);
+      const column = i % perRow;
+      ctx.beginPath();
+      ctx.arc(label.x + (column - (inRow - 1) / 2) * spacing, top + row * spacing, 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  drawPowerUp(type, cx, cy, radius) {
+    const { ctx } = this;
+    const color = this.colors.powerUps[type];
+    ctx.save();
+    ctx.lineWidth = 3;
+    ctx.lineCap = "round";
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+
+    switch (type) {
+      case "laserH":
+      case "laserV": {
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        const horizontal = type === "laserH";
+        ctx.beginPath();
+        ctx.moveTo(cx - (horizontal ? radius * 0.7 : 0), cy - (horizontal ? 0 : radius * 0.7));
+        ctx.lineTo(cx + (horizontal ? radius * 0.7 : 0), cy + (horizontal ? 0 : radius * 0.7));
+        ctx.stroke();
+        break;
+      }
+      case "bomb":
+        ctx.fillStyle = this.colors.bombBody;
+        ctx.beginPath();
+        ctx.arc(cx, cy + radius * 0.1, radius * 0.8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(cx + radius * 0.45, cy - radius * 0.5);
+        ctx.quadraticCurveTo(cx + radius * 0.7, cy - radius, cx + radius, cy - radius * 0.9);
+        ctx.stroke();
+        break;
+      case "splitter":
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        for (const spread of [-0.6, 0, 0.6]) {
+          const angle = -Math.PI / 2 + spread;
+          ctx.beginPath();
+          ctx.moveTo(cx, cy + radius * 0.4);
+          ctx.lineTo(cx + Math.cos(angle) * radius * 0.65, cy + Math.sin(angle) * radius * 0.65);
+          ctx.stroke();
+        }
+        break;
+      case "shield":
+        ctx.beginPath();
+        ctx.moveTo(cx, cy - radius);
+        ctx.lineTo(cx + radius * 0.85, cy - radius * 0.6);
+        ctx.quadraticCurveTo(cx + radius * 0.8, cy + radius * 0.55, cx, cy + radius);
+        ctx.quadraticCurveTo(cx - radius * 0.8, cy + radius * 0.55, cx - radius * 0.85, cy - radius * 0.6);
+        ctx.closePath();
+        ctx.fill();
+        break;
+      case "coin":
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius * 0.8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = this.colors.coinRing;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius * 0.5, 0, Math.PI * 2);
+        ctx.stroke();
+        break;
+    }
+    ctx.restore();
+  }
+
+  drawBeams() {
+    const { ctx } = this;
+    ctx.save();
+    ctx.strokeStyle = this.colors.powerUps.laserH;
+    ctx.lineCap = "round";
+    for (const beam of this.beams) {
+      const alpha = clamp(beam.life / beam.initialLife, 0, 1);
+      ctx.globalAlpha = alpha;
+      ctx.lineWidth = 2 + 6 * alpha;
+      ctx.beginPath();
+      if (beam.orientation === "horizontal") {
+        ctx.moveTo(0, beam.y);
+        ctx.lineTo(GAME_WIDTH, beam.y);
+      } else {
+        ctx.moveTo(beam.x, 0);
+        ctx.lineTo(beam.x, this.sim.baseY);
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Collected coins and banked shields, shown in the bottom-left corner.
+  drawInventory() {
+    const { ctx } = this;
+    const items = [
+      ["shield", this.sim.shields],
+      ["coin", this.sim.coins],
+    ].filter(([, count]) => count > 0);
+
+    let x = 18;
+    const y = GAME_HEIGHT - 12;
+    ctx.font = "700 14px 'Segoe UI', sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    for (const [type, count] of items) {
+      this.drawPowerUp(type, x, y, 7);
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText(count, x + 11, y);
+      x += 24 + ctx.measureText(String(count)).width;
+    }
+  }
+
+  drawBarrier(barrier) {
+    const { ctx } = this;
+    const { blocks } = this.colors;
+    const tier = strengthTier(barrier.strength, blocks.length);
+    ctx.fillStyle = blocks[tier];
+    traceShape(barrier.shape, barrier.rect, BARRIER_CORNER_RADIUS);
     ctx.fill();
+
+    ctx.strokeStyle = this.colors.barrierBorder;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    const label = shapeLabelPosition(barrier.shape, barrier.rect);
+    const font = barrier.shape.startsWith("triangle") ? "800 16px 'Segoe UI', sans-serif" : "800 20px 'Segoe UI', sans-serif";
+    this.drawStrengthLabel(barrier.strength, label, font);
+    this.drawTierPips(tier, label, barrier.shape);
   }
 
   drawBlocks() {
-    for (const block of this.blocks) {
-      block.draw(ctx);
+    for (const block of this.sim.blocks) {
+      this.drawBlock(block);
     }
   }
 
   drawBarrierBlocks() {
-    for (const barrier of this.barrierBlocks) {
-      barrier.draw(ctx);
+    for (const barrier of this.sim.barrierBlocks) {
+      this.drawBarrier(barrier);
     }
   }
 
   drawParticles() {
+    const { ctx } = this;
     for (const particle of this.particles) {
       particle.draw(ctx);
     }
   }
 
+  drawPopups() {
+    const { ctx } = this;
+    for (const popup of this.popups) {
+      popup.draw(ctx);
+    }
+  }
+
+  // Main color of a skin, which its trail uses too.
+  skinColor(skin) {
+    if (skin.fill) return skin.fill;
+    return skin.gradient ? skin.gradient[1] : this.colors.ball;
+  }
+
   drawBalls() {
-    for (const ball of this.balls) {
-      ball.draw(ctx);
+    const { ctx } = this;
+    const skin = this.cosmetics.equipped("skin");
+    const trail = this.cosmetics.equipped("trail");
+    if (trail.length) {
+      this.drawTrails(trail, this.skinColor(skin));
+    }
+
+    if (skin.emoji) {
+      ctx.font = `${BALL_RADIUS * 2.2}px sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      for (const ball of this.sim.balls) {
+        ctx.fillText(skin.emoji, ball.x, ball.y);
+      }
+      return;
+    }
+
+    ctx.fillStyle = this.skinColor(skin);
+    for (const ball of this.sim.balls) {
+      if (skin.gradient) {
+        const highlight = BALL_RADIUS / 3;
+        const gradient = ctx.createRadialGradient(ball.x - highlight, ball.y - highlight, 1, ball.x, ball.y, BALL_RADIUS);
+        gradient.addColorStop(0, skin.gradient[0]);
+        gradient.addColorStop(1, skin.gradient[1]);
+        ctx.fillStyle = gradient;
+      }
+      ctx.beginPath();
+      ctx.arc(ball.x, ball.y, BALL_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
     }
   }
 
+  // Segments taper and fade towards the oldest sample.
+  drawTrails(trail, color) {
+    const { ctx } = this;
+    ctx.save();
+    ctx.lineCap = "round";
+    ctx.strokeStyle = color;
+    for (const ball of this.sim.balls) {
+      const history = this.trails.get(ball);
+      if (!history || ball.resting) continue;
+      const points = [...history, ball];
+      for (let i = 1; i < points.length; i++) {
+        const strength = i / points.length;
+        if (trail.rainbow) {
+          ctx.strokeStyle = `hsl(${(i * 360) / trail.length}, 90%, 60%)`;
+        }
+        ctx.globalAlpha = strength * 0.6;
+        ctx.lineWidth = BALL_RADIUS * 2 * trail.width * strength;
+        ctx.beginPath();
+        ctx.moveTo(points[i - 1].x, points[i - 1].y);
+        ctx.lineTo(points[i].x, points[i].y);
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+
   drawGrid() {
-    ctx.strokeStyle = "rgba(255,255,255,0.03)";
+    const { ctx } = this;
+    ctx.strokeStyle = this.colors.grid;
     ctx.lineWidth = 1;
     for (let c = 1; c < GRID_COLUMNS; c++) {
       const x = c * GRID_SIZE;
@@ -637,76 +2575,70 @@ class Game {
     }
   }
 
+  // Row lines and the lowest row a level can use, shown while editing.
+  drawEditorGuides() {
+    const { ctx } = this;
+    ctx.save();
+    ctx.strokeStyle = this.colors.grid;
+    ctx.lineWidth = 1;
+    for (let r = 1; r < LEVEL_ROWS; r++) {
+      ctx.beginPath();
+      ctx.moveTo(0, r * GRID_SIZE);
+      ctx.lineTo(GAME_WIDTH, r * GRID_SIZE);
+      ctx.stroke();
+    }
+    ctx.strokeStyle = this.colors.aim;
+    ctx.setLineDash([6, 10]);
+    ctx.beginPath();
+    ctx.moveTo(0, LEVEL_ROWS * GRID_SIZE);
+    ctx.lineTo(GAME_WIDTH, LEVEL_ROWS * GRID_SIZE);
+    ctx.stroke();
+    ctx.restore();
+  }
+
   draw(dt) {
-    ctx.fillStyle = COLORS.background;
+    const { ctx } = this;
+    ctx.setTransform(this.pixelScale, 0, 0, this.pixelScale, 0, 0);
+    ctx.fillStyle = this.colors.background;
     ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
 
     this.drawGrid();
+    if (this.editing) {
+      this.drawEditorGuides();
+    }
+    this.drawBlocks();
     this.drawBarrierBlocks();
+    this.drawBeams();
     this.drawBalls();
     this.drawParticles();
+    this.drawPopups();
     this.drawBase();
+    this.drawInventory();
 
-    if (this.isAiming || (!this.isLaunching && !this.isAiming && this.turnAngle !== null)) {
+    if (this.isAiming || (!this.sim.isLaunching && !this.isAiming && this.turnAngle !== null)) {
       this.drawAim();
     }
   }
 
-  seedFloatingBlocks() {
-    const seedCount = 6;
-    for (let i = 0; i < seedCount; i++) {
-      this.spawnFloatingBlock({ force: true });
-    }
-  }
-
-  spawnFloatingBlock({ force = false } = {}) {
-    if (this.isGameOver) return;
-
-    const size = GRID_SIZE * 0.9;
-    const padding = size / 2 + 12;
-    const maxY = GAME_HEIGHT * 0.6;
-    const attempts = 18;
-    const strengthBase = this.turn + 2;
-
-    const createCandidate = () => {
-      const x = padding + this.rng.next() * (GAME_WIDTH - padding * 2);
-      const y = padding + this.rng.next() * (maxY - padding) + 32;
-      const strength = Math.max(2, Math.round(strengthBase * (0.6 + this.rng.next())));
-      return new BarrierBlock(x, y, size, strength);
-    };
-
-    let candidate = createCandidate();
-    for (let i = 0; i < attempts; i++) {
-      if (!this.isBarrierOverlapping(candidate)) break;
-      candidate = createCandidate();
-    }
-
-    if (!force && this.barrierBlocks.length >= MAX_FLOATING_BLOCKS) {
-      return;
-    }
-
-    if (force && this.barrierBlocks.length >= MAX_FLOATING_BLOCKS) {
-      this.barrierBlocks.shift();
-    }
-
-    this.barrierBlocks.push(candidate);
-  }
-
-  isBarrierOverlapping(candidate) {
-    const minGap = candidate.size + 24;
-    const minGapSq = minGap * minGap;
-    for (const barrier of this.barrierBlocks) {
-      const dx = barrier.x - candidate.x;
-      const dy = barrier.y - candidate.y;
-      if (dx * dx + dy * dy < minGapSq) {
-        return true;
-      }
-    }
-    return false;
-  }
-
   showGameOverOverlay() {
-    finalScoreValue.textContent = this.score;
+    const result = this.sim.levelResult;
+    finalScoreValue.textContent = this.sim.score;
+    overlayBestValue.textContent = this.records.bestScore(this.sim.mode, rulesetKey(this.sim.rules));
+    overlayBest.classList.toggle("hidden", Boolean(result));
+    copyReplayBtn.classList.toggle("hidden", Boolean(result));
+    if (!result) {
+      gameOverEmoji.textContent = "😢";
+      gameOverTitle.textContent = "You lose!";
+    } else {
+      gameOverEmoji.textContent = result.won ? "🏆" : "😢";
+      gameOverTitle.textContent = result.won ? "Level complete!" : "Out of turns";
+      levelStars.textContent = formatStars(result.stars);
+      levelStars.setAttribute("aria-label", `${result.stars} of ${MAX_STARS} stars`);
+    }
+    levelStars.classList.toggle("hidden", !result);
+    const hasNext = this.levelIndex !== null && this.levelIndex + 1 < this.levelPack.levels.length;
+    nextLevelBtn.classList.toggle("hidden", !(result && result.won && hasNext));
+    backToEditorBtn.classList.toggle("hidden", !(result && this.levelFromEditor));
     gameOverOverlay.classList.remove("hidden");
   }
 
@@ -716,14 +2648,36 @@ class Game {
     this.previousTime = timestamp;
 
     const cappedDelta = Math.min(delta, 0.033);
+    this.pollGamepad();
     this.update(cappedDelta);
     this.draw(cappedDelta);
+    if (this.match && this.match.style === "split") {
+      this.opponent.pollGamepad();
+      this.opponent.update(cappedDelta);
+      this.opponent.draw(cappedDelta);
+    }
+
+    this.frameId = requestAnimationFrame((time) => this.loop(time));
+  }
 
-    requestAnimationFrame((time) => this.loop(time));
+  // Nothing runs while the page is hidden. Timing restarts on the first frame
+  // back, so the run picks up where it was rather than jumping ahead.
+  handleVisibilityChange() {
+    if (document.hidden) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+      return;
+    }
+    if (this.frameId === null) {
+      this.previousTime = 0;
+      this.frameId = requestAnimationFrame((time) => this.loop(time));
+    }
   }
 }
 
-ctx.roundRect = ctx.roundRect || function (x, y, w, h, r) {
+// Patched on the prototype so every board's context gets it.
+const contextPrototype = Object.getPrototypeOf(ctx);
+contextPrototype.roundRect = contextPrototype.roundRect || function (x, y, w, h, r) {
   const radius = typeof r === "number" ? r : 0;
   this.beginPath();
   this.moveTo(x + radius, y);
@@ -0,0 +1,63 @@
+// Service worker: keeps a copy of the app shell so the game installs and plays
+// offline. Bump CACHE_VERSION whenever a shell file changes; the edited worker
+// then installs a fresh cache alongside the old one and waits until the page
+// asks it to take over (see registerServiceWorker() in script.js).
+const CACHE_VERSION = 2;
+const CACHE_PREFIX = "ballz-shell-";
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "style.css",
+  "core.js",
+  "records.js",
+  "campaign.js",
+  "editor.js",
+  "cosmetics.js",
+  "versus.js",
+  "bots.js",
+  "race.js",
+  "themes.js",
+  "script.js",
+  "levels/campaign.json",
+  "logo-Photoroom.png",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "icons/icon-maskable-512.png",
+  "manifest.webmanifest",
+];
+
+// "reload" skips the HTTP cache, so a new version never caches stale files.
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL.map((url) => new Request(url, { cache: "reload" }))))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "skipWaiting") {
+    self.skipWaiting();
+  }
+});
+
+// Shell files come from the cache, ignoring query strings so shared seed and
+// replay links still open offline. Anything else goes to the network.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.match(request, { ignoreSearch: true }))
+      .then((cached) => cached || fetch(request))
+  );
+});
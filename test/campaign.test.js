@@ -0,0 +1,31 @@
+// Level packs: every level must parse and carry an id of its own.
+//
+//   node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+const { loadGameScripts } = require(path.join(__dirname, "..", "tools", "common.js"));
+
+const { parseLevelPack } = loadGameScripts("campaign.js");
+
+const level = (id) => ({ version: 1, id, name: id, balls: 1, turnLimit: 3, goal: { type: "clear" }, blocks: [{ col: 0, row: 0 }] });
+
+test("the bundled campaign parses", () => {
+  const data = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "levels", "campaign.json"), "utf8"));
+  const pack = parseLevelPack(data);
+  assert.strictEqual(pack.levels.length, data.levels.length);
+});
+
+test("a pack needs levels with unique ids", () => {
+  assert.deepStrictEqual(parseLevelPack({ levels: [level("a"), level("b")] }).levels.map(({ id }) => id), ["a", "b"]);
+  assert.strictEqual(parseLevelPack({ levels: [level("a")] }).name, "Levels");
+  assert.throws(() => parseLevelPack({ levels: [] }), /Invalid level pack/);
+  assert.throws(() => parseLevelPack({ levels: [level("a"), level("a")] }), /Level 2: missing or duplicate id/);
+  assert.throws(() => parseLevelPack({ levels: [{ ...level("a"), id: undefined }] }), /Level 1: missing or duplicate id/);
+});
+
+test("a bad level names its place in the pack", () => {
+  assert.throws(() => parseLevelPack({ levels: [level("a"), { ...level("b"), balls: 0 }] }), /Level 2: Invalid level: balls/);
+});
@@ -0,0 +1,207 @@
+// Determinism checks for the DOM-free core. Replays, saves, races and bots all
+// rely on a run being reproducible from its seed and inputs.
+//
+//   node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+const {
+  GAME_MODES,
+  RULESETS,
+  DEFAULT_RULESET,
+  rulesetKey,
+  parseRuleset,
+  FIXED_STEP,
+  MAX_REPLAY_TICKS,
+  SAVE_VERSION,
+  parseLevel,
+  Block,
+  Simulation,
+  ReplayPlayer,
+  encodeReplay,
+  decodeReplay,
+} = require(path.join(__dirname, "..", "core.js"));
+
+// A fixed spread of shots, so every run in a test fires the same angles.
+function shotAngle(index) {
+  return -Math.PI / 2 + Math.sin(index * 1.7) * 1.1;
+}
+
+function playVolley(sim, angle) {
+  sim.launch(angle);
+  while (sim.isLaunching) {
+    sim.tick();
+  }
+}
+
+function playTurns(sim, turns, firstShot = 0) {
+  for (let i = 0; i < turns && !sim.isGameOver; i++) {
+    playVolley(sim, shotAngle(firstShot + i));
+  }
+  return sim;
+}
+
+function playToGameOver(sim) {
+  for (let i = 0; !sim.isGameOver; i++) {
+    playVolley(sim, shotAngle(i));
+  }
+  return sim;
+}
+
+for (const mode of GAME_MODES) {
+  test(`the same seed and inputs give the same state (${mode})`, () => {
+    const first = playTurns(new Simulation({ seed: 1234, mode }), 12);
+    const second = playTurns(new Simulation({ seed: 1234, mode }), 12);
+    assert.deepStrictEqual(second.getState(), first.getState());
+  });
+}
+
+// Right after a turn, row 1 holds exactly the row that turn spawned.
+function spawnedRows(seed, firstShot) {
+  const sim = new Simulation({ seed });
+  const rows = [];
+  sim.on("turnEnd", () => {
+    rows.push(sim.blocks.filter((block) => block.row === 1).map(({ col, strength, type, shape }) => ({ col, strength, type, shape })));
+  });
+  playTurns(sim, 12, firstShot);
+  return rows;
+}
+
+test("different shots on the same seed spawn the same rows", () => {
+  for (const seed of [25, 30, 33, 37, 38]) {
+    const first = spawnedRows(seed, 0);
+    const second = spawnedRows(seed, 5);
+    const turns = Math.min(first.length, second.length);
+    assert.ok(turns >= 5, `seed ${seed} ended too early to compare`);
+    assert.deepStrictEqual(second.slice(0, turns), first.slice(0, turns), `seed ${seed}`);
+  }
+});
+
+test("a decoded replay reproduces the run", () => {
+  const sim = playToGameOver(new Simulation({ seed: 99 }));
+  const replay = decodeReplay(encodeReplay(sim.getReplay()));
+  const player = new ReplayPlayer(replay);
+  player.advance(replay.ticks);
+  assert.strictEqual(player.sim.isGameOver, true);
+  assert.strictEqual(player.sim.turn, sim.turn);
+  assert.strictEqual(player.sim.score, sim.score);
+});
+
+test("a replay code longer than the cap is refused", () => {
+  const sim = playTurns(new Simulation({ seed: 99 }), 1);
+  const code = encodeReplay({ ...sim.getReplay(), ticks: MAX_REPLAY_TICKS + 1 });
+  assert.throws(() => decodeReplay(code), /too long/);
+});
+
+test("seeking a replay stays within its length", () => {
+  const sim = playTurns(new Simulation({ seed: 99 }), 3);
+  const player = new ReplayPlayer(decodeReplay(encodeReplay(sim.getReplay())));
+  player.seek(Number.MAX_SAFE_INTEGER);
+  assert.strictEqual(player.tick, player.length);
+  player.seek(NaN);
+  assert.strictEqual(player.tick, 0);
+  player.seek(-50);
+  assert.strictEqual(player.tick, 0);
+});
+
+// Every volley is recalled after a few ticks, so the run ends on a recall
+// that lands on the replay's final tick.
+test("a replay ended by a recall reproduces the game over", () => {
+  const sim = new Simulation({ seed: 2 });
+  for (let i = 0; !sim.isGameOver; i++) {
+    sim.launch(shotAngle(i));
+    for (let tick = 0; tick < 20 && sim.isLaunching; tick++) {
+      sim.tick();
+    }
+    sim.recall();
+  }
+  assert.strictEqual(sim.inputs[sim.inputs.length - 1].recall, true);
+
+  const player = new ReplayPlayer(decodeReplay(encodeReplay(sim.getReplay())));
+  while (!player.finished) {
+    player.advanceTime(1 / 60);
+  }
+  assert.strictEqual(player.sim.isGameOver, true);
+  assert.strictEqual(player.sim.turn, sim.turn);
+  assert.strictEqual(player.sim.score, sim.score);
+});
+
+test("a saved and resumed run matches an uninterrupted one", () => {
+  const uninterrupted = playTurns(new Simulation({ seed: 4242 }), 16);
+
+  const saved = playTurns(new Simulation({ seed: 4242 }), 8);
+  const resumed = Simulation.deserialize(JSON.parse(JSON.stringify(saved.serialize())));
+  playTurns(resumed, 8, 8);
+  assert.deepStrictEqual(resumed.getState(), uninterrupted.getState());
+});
+
+test("malformed saves are refused", () => {
+  const save = playTurns(new Simulation({ seed: 4242 }), 3).serialize();
+  assert.throws(() => Simulation.deserialize(null), /Invalid save: data/);
+  assert.throws(() => Simulation.deserialize({ ...save, version: SAVE_VERSION + 1 }), /Invalid save: version/);
+  assert.throws(() => Simulation.deserialize({ ...save, mode: "arcade" }), /Invalid save: mode/);
+  assert.throws(() => Simulation.deserialize({ ...save, blocks: [{ col: 99, row: 1, strength: 1, type: "block", shape: "square" }] }), /Invalid save: blocks/);
+  assert.throws(() => Simulation.deserialize({ ...save, inputs: [{ tick: save.tick + 1, angle: -1 }] }), /Invalid save: inputs/);
+});
+
+// Version 1 saves have no rules and version 2 saves no volley stream.
+test("older saves resume on normal rules", () => {
+  const { rules, volleyRngState, ...save } = playTurns(new Simulation({ seed: 4242, rules: RULESETS.hard }), 3).serialize();
+  const resumed = Simulation.deserialize({ ...save, version: 1 });
+  assert.deepStrictEqual(resumed.rules, RULESETS[DEFAULT_RULESET]);
+  assert.strictEqual(resumed.turn, save.turn);
+  assert.strictEqual(resumed.score, save.score);
+  assert.throws(() => Simulation.deserialize({ ...save, version: 2 }), /Invalid save: rules/);
+});
+
+test("ruleset keys round-trip for presets and custom rules", () => {
+  for (const name of Object.keys(RULESETS)) {
+    assert.strictEqual(rulesetKey(RULESETS[name]), name);
+    assert.deepStrictEqual(parseRuleset(name), RULESETS[name]);
+  }
+  const custom = { ...RULESETS[DEFAULT_RULESET], ballSpeed: RULESETS[DEFAULT_RULESET].ballSpeed + 40 };
+  const key = rulesetKey(custom);
+  assert.match(key, /^c/);
+  assert.deepStrictEqual(parseRuleset(key), custom);
+  for (const bad of ["", "c", "c1-2", "nightmare", null]) {
+    assert.strictEqual(parseRuleset(bad), null, String(bad));
+  }
+});
+
+test("levels are validated and filled in with defaults", () => {
+  const level = parseLevel({
+    version: 1,
+    name: "  Test  ",
+    balls: 2,
+    turnLimit: 4,
+    goal: { type: "clear" },
+    blocks: [{ col: 1, row: 2 }],
+  });
+  assert.strictEqual(level.name, "Test");
+  assert.deepStrictEqual(level.stars, [4, 4]);
+  assert.deepStrictEqual(level.blocks, [{ col: 1, row: 2, strength: 1, type: "block", shape: "square" }]);
+  assert.deepStrictEqual(level.barriers, []);
+
+  const base = { version: 1, name: "Test", balls: 2, turnLimit: 4, goal: { type: "clear" }, blocks: [{ col: 1, row: 2 }] };
+  assert.throws(() => parseLevel({ ...base, version: 2 }), /Invalid level: version/);
+  assert.throws(() => parseLevel({ ...base, blocks: [{ col: 1, row: 2 }, { col: 1, row: 2 }] }), /Invalid level: blocks/);
+  assert.throws(() => parseLevel({ ...base, stars: [3, 5] }), /Invalid level: stars/);
+  assert.throws(() => parseLevel({ ...base, blocks: [] }), /Invalid level: goal/);
+});
+
+// A straight-up shot into a triangle's slanted face used to leave the ball
+// skimming sideways forever, so the volley never ended.
+for (const shape of ["triangleTL", "triangleTR"]) {
+  test(`a vertical shot into a ${shape} block still lands`, () => {
+    const sim = new Simulation({ seed: 1 });
+    sim.blocks = [new Block(3, 2, 1, "block", shape)];
+    sim.invalidateBroadphase();
+    sim.launch(-Math.PI / 2);
+    for (let tick = 0; tick < 60 / FIXED_STEP && sim.isLaunching; tick++) {
+      sim.tick();
+    }
+    assert.strictEqual(sim.isLaunching, false);
+    assert.strictEqual(sim.turn, 2);
+  });
+}
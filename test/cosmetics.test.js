@@ -0,0 +1,38 @@
+// Stored cosmetics are checked against the catalog on load.
+//
+//   node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+const { COSMETICS_VERSION, migrateLocker } = require(path.join(__dirname, "..", "cosmetics.js"));
+
+test("owned items, equipped items and coins carry over", () => {
+  const locker = migrateLocker({
+    version: COSMETICS_VERSION,
+    coins: 12,
+    owned: { skin: ["classic", "ember"], trail: ["none"], launcher: ["dot", "ring"] },
+    equipped: { skin: "ember", trail: "none", launcher: "ring" },
+  });
+  assert.strictEqual(locker.coins, 12);
+  assert.deepStrictEqual(locker.owned.skin, ["classic", "ember"]);
+  assert.deepStrictEqual(locker.equipped, { skin: "ember", trail: "none", launcher: "ring" });
+});
+
+test("unknown items are dropped and only owned items stay equipped", () => {
+  const locker = migrateLocker({
+    version: COSMETICS_VERSION,
+    coins: -5,
+    owned: { skin: ["ember", "plasma"], trail: "streak" },
+    equipped: { skin: "plasma", trail: "streak", launcher: "cannon" },
+  });
+  assert.strictEqual(locker.coins, 0);
+  assert.deepStrictEqual(locker.owned, { skin: ["classic", "ember"], trail: ["none"], launcher: ["dot"] });
+  assert.deepStrictEqual(locker.equipped, { skin: "classic", trail: "none", launcher: "dot" });
+});
+
+test("unrecognised data gives the default locker", () => {
+  const locker = migrateLocker({ version: COSMETICS_VERSION + 1, coins: 99 });
+  assert.strictEqual(locker.coins, 0);
+  assert.deepStrictEqual(locker.equipped, { skin: "classic", trail: "none", launcher: "dot" });
+});
@@ -0,0 +1,61 @@
+// Race verification: the server re-plays a racer's shots and only accepts the
+// score they claimed if the re-played run ends the same way.
+//
+//   node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+const { loadGameScripts } = require(path.join(__dirname, "..", "tools", "common.js"));
+
+const { RACE_MAX_INPUTS, verifyRaceRun, verifyRaceRunInSlices } = loadGameScripts("race.js");
+
+// Recalls every volley after a few ticks, so the run also ends on a recall.
+function playRecalledRun(seed) {
+  const sim = new Simulation({ seed });
+  for (let i = 0; !sim.isGameOver; i++) {
+    sim.launch(-Math.PI / 2 + Math.sin(i * 1.7) * 1.1);
+    for (let tick = 0; tick < 20 && sim.isLaunching; tick++) {
+      sim.tick();
+    }
+    sim.recall();
+  }
+  return sim;
+}
+
+test("an honest run ended by a recall is verified", () => {
+  const sim = playRecalledRun(2);
+  assert.strictEqual(sim.inputs[sim.inputs.length - 1].recall, true);
+  const result = verifyRaceRun(sim, { inputs: sim.inputs, ticks: sim.tickCount, score: sim.score });
+  assert.deepStrictEqual(result, { verified: true, score: sim.score, turns: sim.turn - 1 });
+});
+
+test("a run claiming a higher score is rejected", () => {
+  const sim = playRecalledRun(2);
+  const result = verifyRaceRun(sim, { inputs: sim.inputs, ticks: sim.tickCount, score: sim.score + 100 });
+  assert.strictEqual(result.verified, false);
+  assert.strictEqual(result.score, sim.score);
+});
+
+// Played out without recalls, so the run is longer than one slice.
+test("verifying in slices gives the same result", () => {
+  const sim = new Simulation({ seed: 2 });
+  for (let i = 0; !sim.isGameOver; i++) {
+    sim.launch(-Math.PI / 2 + Math.sin(i * 1.7) * 1.1);
+    while (sim.isLaunching) {
+      sim.tick();
+    }
+  }
+  const claim = { inputs: sim.inputs, ticks: sim.tickCount, score: sim.score };
+  return verifyRaceRunInSlices(sim, claim).then((result) => {
+    assert.deepStrictEqual(result, verifyRaceRun(sim, claim));
+    assert.strictEqual(result.verified, true);
+  });
+});
+
+test("a run with more inputs than a racer may send is rejected", () => {
+  const sim = playRecalledRun(2);
+  const inputs = Array.from({ length: RACE_MAX_INPUTS + 1 }, (_, i) => ({ tick: i, angle: -Math.PI / 2 }));
+  const result = verifyRaceRun(sim, { inputs, ticks: sim.tickCount, score: sim.score });
+  assert.strictEqual(result.verified, false);
+});
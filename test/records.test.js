@@ -0,0 +1,35 @@
+// Stored leaderboard data is migrated forward and cleaned up on load.
+//
+//   node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+const { RECORDS_VERSION, migrateRecords } = require(path.join(__dirname, "..", "records.js"));
+
+const run = (score) => ({ score, turns: 10, balls: 4, seed: 7, mode: "classic", date: "2024-01-01T00:00:00.000Z" });
+
+test("version 1 runs are kept and marked as normal rules", () => {
+  const records = migrateRecords({ version: 1, runs: [run(50), run(80)], stats: { gamesPlayed: 2, bestTurn: 10 } });
+  assert.strictEqual(records.version, RECORDS_VERSION);
+  assert.deepStrictEqual(records.runs.map(({ score, rules }) => [score, rules]), [[80, "normal"], [50, "normal"]]);
+  assert.deepStrictEqual(records.stats, { gamesPlayed: 2, blocksDestroyed: 0, ballsFired: 0, bestTurn: 10 });
+});
+
+test("invalid runs and stats are dropped", () => {
+  const records = migrateRecords({
+    version: RECORDS_VERSION,
+    runs: [{ ...run(30), rules: "hard" }, { ...run(-1), rules: "hard" }, { ...run(40) }],
+    stats: { gamesPlayed: "many", ballsFired: 12 },
+  });
+  assert.deepStrictEqual(records.runs.map(({ score }) => score), [30]);
+  assert.deepStrictEqual(records.stats, { gamesPlayed: 0, blocksDestroyed: 0, ballsFired: 12, bestTurn: 0 });
+});
+
+test("unrecognised data starts over", () => {
+  for (const data of [null, "runs", { version: RECORDS_VERSION + 1, runs: [run(10)] }]) {
+    const records = migrateRecords(data);
+    assert.strictEqual(records.version, RECORDS_VERSION);
+    assert.deepStrictEqual(records.runs, []);
+  }
+});
@@ -0,0 +1,24 @@
+// Deciding a versus match from both players' results.
+//
+//   node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+const { loadGameScripts } = require(path.join(__dirname, "..", "tools", "common.js"));
+
+const { versusWinner } = loadGameScripts("versus.js");
+
+test("a player still standing beats one who topped out", () => {
+  assert.strictEqual(versusWinner([{ survived: false, score: 900 }, { survived: true, score: 100 }]), 1);
+  assert.strictEqual(versusWinner([{ survived: true, score: 100 }, { survived: false, score: 900 }]), 0);
+});
+
+test("otherwise the higher score wins", () => {
+  assert.strictEqual(versusWinner([{ survived: true, score: 300 }, { survived: true, score: 200 }]), 0);
+  assert.strictEqual(versusWinner([{ survived: false, score: 200 }, { survived: false, score: 300 }]), 1);
+});
+
+test("equal scores are a draw", () => {
+  assert.strictEqual(versusWinner([{ survived: true, score: 300 }, { survived: true, score: 300 }]), null);
+});
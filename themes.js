@@ -0,0 +1,222 @@
+// Color themes. `canvas` drives the renderer in script.js; `css` is applied as
+// custom properties on the root element, overriding the defaults in style.css.
+// Block colors are indexed by strength tier (every 3 points of strength);
+// `garbage` fills blocks a versus opponent sent.
+const DEFAULT_THEME = "dark";
+
+const THEMES = {
+  dark: {
+    colorScheme: "dark",
+    canvas: {
+      background: "#090d15",
+      grid: "rgba(255, 255, 255, 0.03)",
+      ball: "#ffffff",
+      barrel: "#fefefe",
+      aim: "rgba(255, 255, 255, 0.25)",
+      aimStrong: "rgba(255, 255, 255, 0.45)",
+      text: "#f5f7fb",
+      blockText: "#f5f7fb",
+      blockTextOutline: null,
+      blockBorder: "rgba(255, 255, 255, 0.25)",
+      barrierBorder: "rgba(255, 255, 255, 0.35)",
+      pickup: "#ffd93d",
+      pickupText: "#1e1f2b",
+      bombBody: "#2b2d42",
+      coinRing: "rgba(30, 31, 43, 0.45)",
+      spark: "#f5f7fb",
+      banner: "rgba(9, 13, 21, 0.82)",
+      explosion: ["#ffd93d", "#ff6f61", "#ffad5c"],
+      blocks: ["#00c6ff", "#3a7bd5", "#f8367c", "#fbb03b", "#3bc6b6", "#b621fe", "#fe8c00", "#fe5f75"],
+      garbage: "#5c6475",
+      powerUps: {
+        laserH: "#ff4d6d",
+        laserV: "#ff4d6d",
+        bomb: "#ff9f1c",
+        splitter: "#7cf29c",
+        shield: "#4dabf7",
+        coin: "#f4c542",
+      },
+    },
+    css: {
+      "--color-page": "#0c1018",
+      "--color-text": "#f5f7fb",
+      "--color-text-muted": "rgba(245, 247, 251, 0.65)",
+      "--color-panel": "linear-gradient(145deg, rgba(27, 41, 64, 0.9), rgba(14, 20, 33, 0.9))",
+      "--color-card": "rgba(20, 28, 44, 0.92)",
+      "--color-control": "rgba(255, 255, 255, 0.1)",
+      "--color-control-hover": "rgba(255, 255, 255, 0.18)",
+      "--color-control-border": "rgba(255, 255, 255, 0.15)",
+      "--color-accent": "#ff4971",
+      "--color-accent-soft": "#ff6f91",
+      "--color-accent-glow": "rgba(255, 73, 113, 0.45)",
+      "--color-on-accent": "#ffffff",
+      "--color-secondary": "#3a7bd5",
+      "--color-highlight": "#ffd93d",
+      "--color-success": "#6bcb77",
+      "--color-overlay": "rgba(9, 13, 21, 0.88)",
+      "--color-canvas": "#090d15",
+    },
+  },
+
+  light: {
+    colorScheme: "light",
+    canvas: {
+      background: "#eef1f6",
+      grid: "rgba(30, 34, 48, 0.06)",
+      ball: "#1e2230",
+      barrel: "#1e2230",
+      aim: "rgba(30, 34, 48, 0.3)",
+      aimStrong: "rgba(30, 34, 48, 0.55)",
+      text: "#1e2230",
+      blockText: "#ffffff",
+      blockTextOutline: null,
+      blockBorder: "rgba(30, 34, 48, 0.2)",
+      barrierBorder: "rgba(30, 34, 48, 0.35)",
+      pickup: "#f2b705",
+      pickupText: "#1e2230",
+      bombBody: "#3d4257",
+      coinRing: "rgba(30, 34, 48, 0.4)",
+      spark: "#1e2230",
+      banner: "rgba(238, 241, 246, 0.85)",
+      explosion: ["#f2b705", "#e8505b", "#f08a24"],
+      blocks: ["#0096c7", "#3a6fc4", "#d6336c", "#d98e04", "#2a9d8f", "#9d4edd", "#e76f00", "#e5484d"],
+      garbage: "#8a90a0",
+      powerUps: {
+        laserH: "#e5484d",
+        laserV: "#e5484d",
+        bomb: "#e76f00",
+        splitter: "#2f9e44",
+        shield: "#1c7ed6",
+        coin: "#d9a400",
+      },
+    },
+    css: {
+      "--color-page": "#f4f6fa",
+      "--color-text": "#1e2230",
+      "--color-text-muted": "rgba(30, 34, 48, 0.65)",
+      "--color-panel": "linear-gradient(145deg, #ffffff, #e6eaf1)",
+      "--color-card": "rgba(255, 255, 255, 0.96)",
+      "--color-control": "rgba(30, 34, 48, 0.08)",
+      "--color-control-hover": "rgba(30, 34, 48, 0.14)",
+      "--color-control-border": "rgba(30, 34, 48, 0.18)",
+      "--color-accent": "#e5305b",
+      "--color-accent-soft": "#f0587c",
+      "--color-accent-glow": "rgba(229, 48, 91, 0.35)",
+      "--color-on-accent": "#ffffff",
+      "--color-secondary": "#2f6fc4",
+      "--color-highlight": "#b7791f",
+      "--color-success": "#2f9e44",
+      "--color-overlay": "rgba(244, 246, 250, 0.9)",
+      "--color-canvas": "#eef1f6",
+    },
+  },
+
+  // Pure black and white chrome, saturated block fills with black numbers.
+  contrast: {
+    colorScheme: "dark",
+    canvas: {
+      background: "#000000",
+      grid: "rgba(255, 255, 255, 0.12)",
+      ball: "#ffffff",
+      barrel: "#ffffff",
+      aim: "rgba(255, 255, 255, 0.6)",
+      aimStrong: "#ffffff",
+      text: "#ffffff",
+      blockText: "#000000",
+      blockTextOutline: null,
+      blockBorder: "#000000",
+      barrierBorder: "#ffffff",
+      pickup: "#ffff00",
+      pickupText: "#000000",
+      bombBody: "#000000",
+      coinRing: "#000000",
+      spark: "#ffffff",
+      banner: "rgba(0, 0, 0, 0.9)",
+      explosion: ["#ffff00", "#ffffff", "#ff8000"],
+      blocks: ["#ffffff", "#ffff00", "#00ffff", "#ff00ff", "#00ff00", "#ff8000", "#ff5050", "#a0a0ff"],
+      garbage: "#c0c0c0",
+      powerUps: {
+        laserH: "#ff5050",
+        laserV: "#ff5050",
+        bomb: "#ff8000",
+        splitter: "#00ff00",
+        shield: "#00ffff",
+        coin: "#ffff00",
+      },
+    },
+    css: {
+      "--color-page": "#000000",
+      "--color-text": "#ffffff",
+      "--color-text-muted": "rgba(255, 255, 255, 0.85)",
+      "--color-panel": "#000000",
+      "--color-card": "#000000",
+      "--color-control": "#000000",
+      "--color-control-hover": "rgba(255, 255, 255, 0.25)",
+      "--color-control-border": "#ffffff",
+      "--color-accent": "#ffff00",
+      "--color-accent-soft": "#ffff00",
+      "--color-accent-glow": "rgba(255, 255, 0, 0.5)",
+      "--color-on-accent": "#000000",
+      "--color-secondary": "#00ffff",
+      "--color-highlight": "#ffff00",
+      "--color-success": "#00ff00",
+      "--color-overlay": "rgba(0, 0, 0, 0.92)",
+      "--color-canvas": "#000000",
+    },
+  },
+
+  // Okabe-Ito palette, which stays distinguishable for the common forms of
+  // color vision deficiency. Outlined numbers keep light fills readable.
+  colorblind: {
+    colorScheme: "dark",
+    canvas: {
+      background: "#090d15",
+      grid: "rgba(255, 255, 255, 0.04)",
+      ball: "#ffffff",
+      barrel: "#fefefe",
+      aim: "rgba(255, 255, 255, 0.3)",
+      aimStrong: "rgba(255, 255, 255, 0.5)",
+      text: "#f5f7fb",
+      blockText: "#ffffff",
+      blockTextOutline: "rgba(0, 0, 0, 0.7)",
+      blockBorder: "rgba(255, 255, 255, 0.3)",
+      barrierBorder: "rgba(255, 255, 255, 0.45)",
+      pickup: "#f0e442",
+      pickupText: "#1e1f2b",
+      bombBody: "#2b2d42",
+      coinRing: "rgba(30, 31, 43, 0.45)",
+      spark: "#f5f7fb",
+      banner: "rgba(9, 13, 21, 0.82)",
+      explosion: ["#f0e442", "#e69f00", "#d55e00"],
+      blocks: ["#56b4e9", "#0072b2", "#009e73", "#f0e442", "#e69f00", "#d55e00", "#cc79a7", "#999999"],
+      garbage: "#6e6e6e",
+      powerUps: {
+        laserH: "#d55e00",
+        laserV: "#d55e00",
+        bomb: "#e69f00",
+        splitter: "#009e73",
+        shield: "#56b4e9",
+        coin: "#f0e442",
+      },
+    },
+    css: {
+      "--color-page": "#0c1018",
+      "--color-text": "#f5f7fb",
+      "--color-text-muted": "rgba(245, 247, 251, 0.7)",
+      "--color-panel": "linear-gradient(145deg, rgba(27, 41, 64, 0.9), rgba(14, 20, 33, 0.9))",
+      "--color-card": "rgba(20, 28, 44, 0.92)",
+      "--color-control": "rgba(255, 255, 255, 0.1)",
+      "--color-control-hover": "rgba(255, 255, 255, 0.18)",
+      "--color-control-border": "rgba(255, 255, 255, 0.2)",
+      "--color-accent": "#d55e00",
+      "--color-accent-soft": "#e69f00",
+      "--color-accent-glow": "rgba(213, 94, 0, 0.45)",
+      "--color-on-accent": "#ffffff",
+      "--color-secondary": "#0072b2",
+      "--color-highlight": "#f0e442",
+      "--color-success": "#56b4e9",
+      "--color-overlay": "rgba(9, 13, 21, 0.88)",
+      "--color-canvas": "#090d15",
+    },
+  },
+};
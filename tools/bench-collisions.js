@@ -0,0 +1,118 @@
+// Collision benchmark: times the simulation tick for N live balls against M
+// obstacles and prints the per-tick cost and the resulting 60 Hz frame time.
+//
+//   node tools/bench-collisions.js
+//   node tools/bench-collisions.js --balls 500 --blocks 120 --ticks 1200
+const path = require("path");
+const {
+  GAME_WIDTH,
+  GRID_COLUMNS,
+  GRID_SIZE,
+  BALL_RADIUS,
+  FIXED_STEP,
+  RNG,
+  Ball,
+  Block,
+  BarrierBlock,
+  Simulation,
+} = require(path.join(__dirname, "..", "core.js"));
+
+const DEFAULT_BALLS = [50, 200, 500];
+const DEFAULT_BLOCKS = [20, 63, 120];
+const GRID_ROWS = 9;
+const UNBREAKABLE = 1e9;
+const TICKS_PER_FRAME = 1 / 60 / FIXED_STEP;
+
+function parseArgs(argv) {
+  const options = { ticks: 600, seed: 1 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    const value = Number(argv[i + 1]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Expected a number after --${key}`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+// Fills grid cells first (up to the 7 x 9 board), then scatters floating
+// barriers for the rest. Obstacles are unbreakable so the load stays constant.
+function buildScene(ballCount, blockCount, seed) {
+  const sim = new Simulation({ seed, mode: "classic" });
+  const rng = new RNG(seed);
+  sim.blocks = [];
+  sim.barrierBlocks = [];
+
+  const cells = [];
+  for (let row = 1; row <= GRID_ROWS; row++) {
+    for (let col = 0; col < GRID_COLUMNS; col++) {
+      cells.push({ col, row });
+    }
+  }
+  for (let i = 0; i < blockCount; i++) {
+    if (cells.length) {
+      const [{ col, row }] = cells.splice(Math.floor(rng.next() * cells.length), 1);
+      sim.blocks.push(new Block(col, row, UNBREAKABLE));
+    } else {
+      const x = GRID_SIZE / 2 + rng.next() * (GAME_WIDTH - GRID_SIZE);
+      const y = GRID_SIZE / 2 + rng.next() * (GRID_ROWS * GRID_SIZE);
+      sim.barrierBlocks.push(new BarrierBlock(x, y, GRID_SIZE * 0.9, UNBREAKABLE));
+    }
+  }
+  sim.invalidateBroadphase();
+
+  for (let i = 0; i < ballCount; i++) {
+    sim.balls.push(launchBall(sim, rng));
+  }
+  return { sim, rng };
+}
+
+function launchBall(sim, rng) {
+  const x = BALL_RADIUS + rng.next() * (GAME_WIDTH - BALL_RADIUS * 2);
+  return new Ball(x, sim.baseY - BALL_RADIUS, -0.4 - rng.next() * (Math.PI - 0.8));
+}
+
+function run(ballCount, blockCount, { ticks, seed }) {
+  const { sim, rng } = buildScene(ballCount, blockCount, seed);
+  const timings = [];
+
+  for (let i = 0; i < ticks; i++) {
+    const start = process.hrtime.bigint();
+    sim.tick();
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+
+    // Relaunch landed balls so every tick keeps N balls in flight.
+    sim.balls = sim.balls.map((ball) => (ball.resting ? launchBall(sim, rng) : ball));
+  }
+
+  timings.sort((a, b) => a - b);
+  const mean = timings.reduce((sum, value) => sum + value, 0) / timings.length;
+  const percentile = (p) => timings[Math.min(timings.length - 1, Math.floor(timings.length * p))];
+  return {
+    balls: ballCount,
+    blocks: blockCount,
+    "mean ms": mean.toFixed(3),
+    "p50 ms": percentile(0.5).toFixed(3),
+    "p95 ms": percentile(0.95).toFixed(3),
+    "max ms": timings[timings.length - 1].toFixed(3),
+    "60 Hz frame ms": (mean * TICKS_PER_FRAME).toFixed(3),
+  };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const ballCounts = options.balls ? [options.balls] : DEFAULT_BALLS;
+  const blockCounts = options.blocks ? [options.blocks] : DEFAULT_BLOCKS;
+
+  const rows = [];
+  for (const balls of ballCounts) {
+    for (const blocks of blockCounts) {
+      rows.push(run(balls, blocks, options));
+    }
+  }
+  console.log(`${options.ticks} ticks per scenario; tick timings in ms, ${TICKS_PER_FRAME} ticks per 60 Hz frame`);
+  console.table(rows);
+}
+
+main();
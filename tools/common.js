@@ -0,0 +1,31 @@
+// Shared setup for the command-line tools and tests.
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+
+// The game's scripts share the page's global scope, so everything after
+// core.js expects its globals. Loads core.js into this process's globals, then
+// the given scripts, and returns their exports merged.
+function loadGameScripts(...files) {
+  Object.assign(globalThis, require(path.join(ROOT, "core.js")));
+  return Object.assign({}, ...files.map((file) => require(path.join(ROOT, file))));
+}
+
+// `--name value` pairs. Only names in `defaults` are accepted, and a value is
+// read as a number when its default is one.
+function parseOptions(argv, defaults) {
+  const options = { ...defaults };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, "");
+    if (!Object.hasOwn(defaults, key) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown option or missing value: ${argv[i]}`);
+    }
+    options[key] = typeof defaults[key] === "number" ? Number(argv[i + 1]) : argv[i + 1];
+    if (Number.isNaN(options[key])) {
+      throw new Error(`Expected a number after --${key}`);
+    }
+  }
+  return options;
+}
+
+module.exports = { ROOT, loadGameScripts, parseOptions };
@@ -0,0 +1,408 @@
+// Reference race server: serves the game and hosts race rooms over WebSocket
+// on one port, using only Node's built-in modules. See race.js for the
+// messages. Rooms live in memory and close when their last racer leaves.
+//
+//   node tools/race-server.js
+//   node tools/race-server.js --port 9000
+//   node tools/race-server.js --host 0.0.0.0   (to race across the network)
+//
+// then open http://localhost:8787/ (or the chosen port) in a few tabs. Only
+// this machine can connect unless --host says otherwise.
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const { ROOT, loadGameScripts, parseOptions } = require("./common.js");
+
+const {
+  RACE_PORT,
+  RACE_MAX_PLAYERS,
+  RACE_NAME_LENGTH,
+  RACE_MAX_TICKS,
+  RACE_MAX_INPUTS,
+  RACE_MODE,
+  normalizeRoomCode,
+  verifyRaceRunInSlices,
+} = loadGameScripts("race.js");
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+// Only the game's own files are served, never the rest of the repository.
+const SERVED_FILES = new Set([
+  "index.html",
+  "style.css",
+  "core.js",
+  "records.js",
+  "campaign.js",
+  "editor.js",
+  "cosmetics.js",
+  "versus.js",
+  "bots.js",
+  "race.js",
+  "themes.js",
+  "script.js",
+  "sw.js",
+  "levels/campaign.json",
+  "logo-Photoroom.png",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "icons/icon-maskable-512.png",
+  "manifest.webmanifest",
+]);
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".webmanifest": "application/manifest+json",
+};
+
+const DEFAULT_OPTIONS = { port: RACE_PORT, host: "127.0.0.1" };
+
+function parseArgs(argv) {
+  const options = parseOptions(argv, DEFAULT_OPTIONS);
+  if (!Number.isInteger(options.port)) {
+    throw new Error("Expected a number after --port");
+  }
+  return options;
+}
+
+function isCount(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Server side of one WebSocket (RFC 6455). Browsers send small text messages
+// in single masked frames, so fragmented or oversized messages just close the
+// connection.
+class WebSocketConnection {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.open = true;
+    this.onMessage = () => {};
+    this.onClose = () => {};
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("end", () => this.closed());
+    socket.on("close", () => this.closed());
+    socket.on("error", () => this.closed());
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.open && this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (!fin || !masked) {
+        this.close(1002);
+        return;
+      }
+      if (length > MAX_MESSAGE_BYTES) {
+        this.close(1009);
+        return;
+      }
+      if (this.buffer.length < offset + 4 + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+
+      if (opcode === OPCODES.text) {
+        this.onMessage(payload.toString("utf8"));
+      } else if (opcode === OPCODES.ping) {
+        this.socket.write(encodeFrame(OPCODES.pong, payload));
+      } else if (opcode === OPCODES.close) {
+        this.close(1000);
+      } else if (opcode !== OPCODES.pong) {
+        this.close(1003);
+      }
+    }
+  }
+
+  send(message) {
+    if (!this.open) return;
+    this.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message), "utf8")));
+  }
+
+  close(code) {
+    if (!this.open) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.socket.end(encodeFrame(OPCODES.close, payload));
+    this.closed();
+  }
+
+  closed() {
+    if (!this.open) return;
+    this.open = false;
+    this.onClose();
+  }
+}
+
+// Racers stay on the standings after they leave; the room goes once nobody
+// is connected.
+class RaceRoom {
+  constructor(code, rules) {
+    this.code = code;
+    this.seed = randomSeed();
+    this.mode = RACE_MODE;
+    this.rules = rules;
+    this.racers = new Map();
+  }
+
+  get connected() {
+    return [...this.racers.values()].filter((racer) => racer.connection);
+  }
+
+  standings() {
+    return [...this.racers.values()]
+      .map(({ id, name, score, turn, status, connection }) => ({ id, name, score, turn, status, connected: Boolean(connection) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  broadcast(message) {
+    for (const racer of this.connected) {
+      racer.connection.send(message);
+    }
+  }
+
+  broadcastStandings() {
+    this.broadcast({ type: "standings", players: this.standings() });
+  }
+}
+
+class RaceServer {
+  constructor() {
+    this.rooms = new Map();
+  }
+
+  accept(connection) {
+    let racer = null;
+    connection.onMessage = (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (e) {
+        connection.close(1007);
+        return;
+      }
+      if (!message || typeof message !== "object") return;
+      if (message.type === "join") {
+        if (racer) {
+          connection.send({ type: "error", message: "Already in a room" });
+          return;
+        }
+        racer = this.join(connection, message);
+        return;
+      }
+      if (!racer) {
+        connection.send({ type: "error", message: "Join a room first" });
+        return;
+      }
+      this.handleRacerMessage(racer, message);
+    };
+    connection.onClose = () => {
+      if (racer) {
+        this.leave(racer);
+      }
+    };
+  }
+
+  join(connection, { room, name, rules }) {
+    const code = normalizeRoomCode(room);
+    if (!code) {
+      connection.send({ type: "error", message: "Pick a room code" });
+      return null;
+    }
+    let raceRoom = this.rooms.get(code);
+    if (!raceRoom) {
+      raceRoom = new RaceRoom(code, parseRuleset(rules) || { ...RULESETS[DEFAULT_RULESET] });
+      this.rooms.set(code, raceRoom);
+    } else if (raceRoom.racers.size >= RACE_MAX_PLAYERS) {
+      connection.send({ type: "error", message: `Room ${code} is full` });
+      return null;
+    }
+
+    const racer = {
+      id: crypto.randomUUID(),
+      name: String(name ?? "").trim().slice(0, RACE_NAME_LENGTH) || `Racer ${raceRoom.racers.size + 1}`,
+      room: raceRoom,
+      connection,
+      inputs: [],
+      score: 0,
+      turn: 1,
+      status: "playing",
+    };
+    raceRoom.racers.set(racer.id, racer);
+    connection.send({
+      type: "welcome",
+      room: code,
+      id: racer.id,
+      seed: raceRoom.seed,
+      mode: raceRoom.mode,
+      rules: rulesetKey(raceRoom.rules),
+    });
+    raceRoom.broadcastStandings();
+    return racer;
+  }
+
+  leave(racer) {
+    racer.connection = null;
+    if (racer.status === "playing") {
+      racer.status = "left";
+    }
+    const { room } = racer;
+    if (room.connected.length === 0) {
+      this.rooms.delete(room.code);
+      return;
+    }
+    room.broadcastStandings();
+  }
+
+  // Shots must come in an order the game allows: each input after the one
+  // before it, except that a recall may share its shot's tick and the next
+  // shot the recall's tick. Scores reported between turns are shown as they
+  // arrive; only the final score is checked.
+  handleRacerMessage(racer, message) {
+    if (racer.status !== "playing") return;
+    const last = racer.inputs[racer.inputs.length - 1];
+    const validTick = Number.isSafeInteger(message.tick) && message.tick >= 0 && message.tick <= RACE_MAX_TICKS;
+    const full = racer.inputs.length >= RACE_MAX_INPUTS;
+    const shotInOrder = !last || (last.recall ? message.tick >= last.tick : message.tick > last.tick);
+    const recallInOrder = Boolean(last) && !last.recall && message.tick >= last.tick;
+    switch (message.type) {
+      case "launch":
+        if (!validTick || full || !shotInOrder || !Number.isFinite(message.angle)) {
+          this.reject(racer, "Invalid shot");
+          return;
+        }
+        racer.inputs.push({ tick: message.tick, angle: message.angle });
+        break;
+      case "recall":
+        if (!validTick || full || !recallInOrder) {
+          this.reject(racer, "Invalid recall");
+          return;
+        }
+        racer.inputs.push({ tick: message.tick, recall: true });
+        break;
+      case "turn":
+        if (!isCount(message.score) || !isCount(message.turn)) return;
+        racer.score = message.score;
+        racer.turn = message.turn;
+        racer.room.broadcastStandings();
+        break;
+      case "finish":
+        this.finish(racer, message);
+        break;
+      default:
+        racer.connection.send({ type: "error", message: `Unknown message: ${message.type}` });
+    }
+  }
+
+  // Re-played in slices; the racer may leave before the result is in.
+  finish(racer, { ticks, score }) {
+    racer.status = "checking";
+    racer.room.broadcastStandings();
+    verifyRaceRunInSlices(racer.room, { inputs: racer.inputs, ticks, score }).then((result) => {
+      if (!result.verified) {
+        this.reject(racer, "Final score did not match the re-played run");
+        return;
+      }
+      racer.score = result.score;
+      racer.turn = result.turns;
+      racer.status = "verified";
+      racer.room.broadcastStandings();
+    });
+  }
+
+  reject(racer, reason) {
+    console.warn(`Rejected ${racer.name} in room ${racer.room.code}: ${reason}`);
+    racer.status = "rejected";
+    racer.score = 0;
+    if (racer.connection) {
+      racer.connection.send({ type: "error", message: reason });
+    }
+    racer.room.broadcastStandings();
+  }
+}
+
+// Serves the game too, so the page and the race server share an origin.
+function serveFile(request, response) {
+  let name;
+  try {
+    name = decodeURIComponent(new URL(request.url, "http://localhost").pathname).slice(1) || "index.html";
+  } catch (e) {
+    response.writeHead(400).end("Bad request");
+    return;
+  }
+  if (!SERVED_FILES.has(name)) {
+    response.writeHead(404).end("Not found");
+    return;
+  }
+  const file = path.join(ROOT, name);
+  fs.readFile(file, (error, data) => {
+    if (error) {
+      response.writeHead(404).end("Not found");
+      return;
+    }
+    response.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream" });
+    response.end(data);
+  });
+}
+
+function upgrade(request, socket, raceServer) {
+  const key = request.headers["sec-websocket-key"];
+  if (String(request.headers.upgrade).toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write(
+    ["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join("\r\n")
+  );
+  raceServer.accept(new WebSocketConnection(socket));
+}
+
+function main() {
+  const { port, host } = parseArgs(process.argv.slice(2));
+  const raceServer = new RaceServer();
+  const server = http.createServer(serveFile);
+  server.on("upgrade", (request, socket) => upgrade(request, socket, raceServer));
+  server.listen(port, host, () => console.log(`Race server on http://${host}:${port}/`));
+}
+
+main();
@@ -0,0 +1,62 @@
+// Bot tournament: every bot plays the same N seeded games and the table shows
+// how each did. Re-run it after touching spawnRow() or spawnFloatingBlock() to
+// see whether a balance change made runs easier or harder.
+//
+//   node tools/tournament.js
+//   node tools/tournament.js --games 20 --mode barriers --rules hard --bots greedy
+//   node tools/tournament.js --seed 42 --turns 100
+const { loadGameScripts, parseOptions } = require("./common.js");
+
+const { BOTS, playBotGame } = loadGameScripts("bots.js");
+
+const DEFAULT_OPTIONS = { games: 10, seed: 1, turns: 200, mode: "classic", rules: DEFAULT_RULESET, bots: Object.keys(BOTS).join(",") };
+
+function parseArgs(argv) {
+  const options = parseOptions(argv, DEFAULT_OPTIONS);
+  if (!GAME_MODES.includes(options.mode)) {
+    throw new Error(`Unknown mode: ${options.mode}`);
+  }
+  options.rules = RULESETS[options.rules] || parseRuleset(options.rules);
+  if (!options.rules) {
+    throw new Error("Unknown ruleset; use easy, normal, hard or a custom rules key");
+  }
+  options.bots = options.bots.split(",");
+  for (const name of options.bots) {
+    if (!BOTS[name]) {
+      throw new Error(`Unknown bot: ${name} (have ${Object.keys(BOTS).join(", ")})`);
+    }
+  }
+  return options;
+}
+
+// Game i uses the same seed for every bot, so they face identical boards.
+function runBot(name, { games, seed, turns, mode, rules }) {
+  const results = [];
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < games; i++) {
+    const bot = new BOTS[name]({ seed: seed + i });
+    results.push(playBotGame(bot, { seed: seed + i, mode, rules, maxTurns: turns }));
+  }
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e9;
+
+  const average = (key) => results.reduce((sum, result) => sum + result[key], 0) / results.length;
+  const scores = results.map((result) => result.score);
+  return {
+    bot: name,
+    games,
+    "avg score": Math.round(average("score")),
+    "avg turns": average("turns").toFixed(1),
+    "best score": Math.max(...scores),
+    "worst score": Math.min(...scores),
+    "hit turn cap": results.filter((result) => !result.finished).length,
+    seconds: elapsed.toFixed(1),
+  };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  console.log(`${options.games} games per bot · ${options.mode} · rules ${rulesetKey(options.rules)} · seeds ${options.seed}-${options.seed + options.games - 1} · cap ${options.turns} turns`);
+  console.table(options.bots.map((name) => runBot(name, options)));
+}
+
+main();
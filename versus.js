@@ -0,0 +1,106 @@
+// Local two-player versus. Both players get their own simulation on the same
+// seed, mode and rules, so their boards start identical, and garbage a volley
+// earns (see receiveGarbage() in core.js) lands on the opponent's board. In
+// hot-seat the players alternate turns on one screen; in split-screen both
+// play at once. Barriers runs never top out, so those matches are decided on
+// score after a fixed number of turns.
+const VERSUS_STYLES = ["hotseat", "split"];
+const VERSUS_TURN_LIMIT = 25;
+
+class VersusMatch extends Emitter {
+  constructor({ seed = randomSeed(), mode, rules, style = VERSUS_STYLES[0] } = {}) {
+    super();
+    this.seed = seed >>> 0;
+    this.style = VERSUS_STYLES.includes(style) ? style : VERSUS_STYLES[0];
+    this.sims = [0, 1].map(() => new Simulation({ seed: this.seed, mode, rules }));
+    this.turnLimit = this.sims[0].mode === "barriers" ? VERSUS_TURN_LIMIT : Infinity;
+    this.garbageSent = [0, 0];
+    // Whose shot it is in hot-seat. Split-screen players never wait.
+    this.current = 0;
+    this.result = null;
+
+    this.sims.forEach((sim, player) => {
+      const opponent = this.sims[1 - player];
+      sim.on("garbage", ({ blocks }) => {
+        this.garbageSent[player] += blocks;
+        opponent.receiveGarbage(blocks);
+        this.emit("garbage", { player, blocks });
+      });
+      sim.on("turnEnd", () => {
+        if (this.style === "hotseat") {
+          this.passTurn(player);
+        } else if (this.outOfTurns(0) && this.outOfTurns(1)) {
+          this.finish();
+        }
+      });
+      sim.on("gameOver", () => this.handleGameOver(player));
+    });
+  }
+
+  get finished() {
+    return this.result !== null;
+  }
+
+  outOfTurns(player) {
+    return this.sims[player].turn > this.turnLimit;
+  }
+
+  canPlay(player) {
+    if (this.finished || this.sims[player].isGameOver || this.outOfTurns(player)) return false;
+    return this.style === "split" || this.current === player;
+  }
+
+  // Rounds always complete in hot-seat: once player 2 has matched player 1's
+  // turn, the match ends if either of them is out.
+  passTurn(player) {
+    if (this.finished) return;
+    if (player === 1 && (this.sims[0].isGameOver || this.outOfTurns(1))) {
+      this.finish();
+      return;
+    }
+    this.current = 1 - player;
+    this.emit("turn", { player: this.current });
+  }
+
+  // In split-screen the first player to top out ends the match; in hot-seat
+  // player 2 still gets to finish the round.
+  handleGameOver(player) {
+    if (this.style === "hotseat" && player === 0) {
+      this.passTurn(player);
+      return;
+    }
+    this.finish();
+  }
+
+  finish() {
+    if (this.finished) return;
+    const players = this.sims.map((sim, player) => ({
+      score: sim.score,
+      // Completed turns; sim.turn is the one about to be played.
+      turns: sim.turn - 1,
+      balls: sim.ballChain,
+      blocksDestroyed: sim.blocksDestroyed,
+      garbageSent: this.garbageSent[player],
+      survived: !sim.isGameOver,
+    }));
+    this.result = { winner: versusWinner(players), players };
+    this.emit("end", this.result);
+  }
+}
+
+// A player still standing beats one who topped out; otherwise the higher
+// score wins. Returns the winner's index, or null for a draw.
+function versusWinner([first, second]) {
+  if (first.survived !== second.survived) return first.survived ? 0 : 1;
+  if (first.score !== second.score) return first.score > second.score ? 0 : 1;
+  return null;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    VERSUS_STYLES,
+    VERSUS_TURN_LIMIT,
+    VersusMatch,
+    versusWinner,
+  };
+}